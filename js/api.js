@@ -5,141 +5,197 @@
  * Markets are loaded dynamically from the API - no hardcoded lists!
  */
 
-const API_BASE = 'https://api.hyperliquid.xyz';
-const DEX_NAME = 'xyz';
-
-// Dynamic market categories - populated from API
-let MARKET_CATEGORIES = {
-  equities: [],
-  commodities: [],
-  forex: [],
-  index: [],
-  other: []
-};
+// HIP-3 DEX tracked when nothing else has been selected
+const DEFAULT_DEX = 'xyz';
 
-// Known category mappings for auto-classification
-const CATEGORY_KEYWORDS = {
-  index: ['100', 'INDEX', 'IDX'],
-  commodities: ['GOLD', 'SILVER', 'COPPER', 'CL', 'OIL', 'GAS', 'PLATINUM', 'PALLADIUM'],
-  forex: ['EUR', 'JPY', 'GBP', 'CHF', 'AUD', 'CAD', 'CNY', 'CNH']
-};
+// Perp DEXes listed by the API (perpDexs) and the ones currently tracked
+let availableDexes = [];
+let trackedDexes = loadTrackedDexes();
+
+// REST transport (live, local stand-in or fixtures) - see js/transport.js
+// All info requests go through the rate-limited scheduler - see js/scheduler.js
+// and cacheable request types through the response cache - see js/cache.js
+const scheduler = new RequestScheduler(Transport.createTransport());
+
+// Dynamic market categories - populated from API, classified by js/categories.js
+const MARKET_CATEGORIES = {};
+
+// All known markets on the tracked DEXes (populated dynamically)
+let ALL_MARKETS = new Set();
+
+// Size decimals per market from the meta universe (coin -> szDecimals)
+const MARKET_SZ_DECIMALS = new Map();
 
-// All known xyz markets (populated dynamically)
-let ALL_XYZ_MARKETS = new Set();
+// Perp prices may have at most 6 - szDecimals decimals and 5 significant figures
+const MAX_PERP_DECIMALS = 6;
+const MAX_PRICE_SIG_FIGS = 5;
+
+// candleSnapshot returns at most this many candles per response
+const CANDLES_PAGE_LIMIT = 5000;
+
+// Funding formula: 8h rate = P + clamp(interest - P, -cap, cap), paid hourly at 1/8
+const FUNDING_INTEREST_RATE = 0.0001;
+const FUNDING_PREMIUM_CAP = 0.0005;
+const FUNDING_INTERVAL = 60 * 60 * 1000;
+const FUNDING_PERIODS_PER_8H = 8;
 
 /**
- * Auto-classify an asset into a category based on name
+ * Read the tracked DEX selection saved in localStorage
  */
-function classifyAsset(symbol) {
-  const cleanSymbol = symbol.replace(`${DEX_NAME}:`, '').toUpperCase();
-
-  // Check index first
-  for (const keyword of CATEGORY_KEYWORDS.index) {
-    if (cleanSymbol.includes(keyword)) return 'index';
+function loadTrackedDexes() {
+  try {
+    const saved = JSON.parse(localStorage.getItem('trackedDexes'));
+    if (Array.isArray(saved) && saved.length > 0) return saved;
+  } catch (e) {
+    // Ignore malformed selections
   }
+  return [DEFAULT_DEX];
+}
 
-  // Check commodities
-  for (const keyword of CATEGORY_KEYWORDS.commodities) {
-    if (cleanSymbol === keyword || cleanSymbol.includes(keyword)) return 'commodities';
-  }
+/**
+ * Get the DEXes currently tracked
+ */
+function getTrackedDexes() {
+  return [...trackedDexes];
+}
 
-  // Check forex
-  for (const keyword of CATEGORY_KEYWORDS.forex) {
-    if (cleanSymbol === keyword) return 'forex';
-  }
+/**
+ * Replace the tracked DEX selection (at least one DEX stays tracked)
+ */
+function setTrackedDexes(dexes) {
+  trackedDexes = dexes.length > 0 ? [...new Set(dexes)] : [DEFAULT_DEX];
+  localStorage.setItem('trackedDexes', JSON.stringify(trackedDexes));
+}
 
-  // Default to equities (stocks)
-  return 'equities';
+/**
+ * Get the DEX a coin belongs to ("xyz:TSLA" -> "xyz", "BTC" -> "")
+ */
+function getCoinDex(coin) {
+  const index = coin.indexOf(':');
+  return index === -1 ? '' : coin.slice(0, index);
+}
+
+/**
+ * Get a coin's symbol without its DEX prefix
+ */
+function getSymbol(coin) {
+  return coin.slice(coin.indexOf(':') + 1);
+}
+
+/**
+ * Whether a coin is listed on one of the tracked DEXes
+ */
+function isTrackedCoin(coin) {
+  return Boolean(coin) && trackedDexes.includes(getCoinDex(coin));
+}
+
+/**
+ * Display name for a coin: the bare symbol while a single DEX is tracked,
+ * the full "dex:SYMBOL" name once several are
+ */
+function getDisplayName(coin) {
+  return trackedDexes.length > 1 ? coin : getSymbol(coin);
+}
+
+/**
+ * Classify an asset with the category registry (see js/categories.js)
+ */
+function classifyAsset(symbol) {
+  return AssetCategories.getCategory(symbol);
 }
 
 /**
  * Update market categories from API data
  */
 function updateMarketCategories(markets) {
-  // Reset categories
-  MARKET_CATEGORIES = {
-    equities: [],
-    commodities: [],
-    forex: [],
-    index: [],
-    other: []
-  };
+  // Reset categories (in place, the object is exported)
+  Object.keys(MARKET_CATEGORIES).forEach(category => delete MARKET_CATEGORIES[category]);
+  AssetCategories.CATEGORIES.forEach(category => {
+    MARKET_CATEGORIES[category.id] = [];
+  });
 
-  ALL_XYZ_MARKETS.clear();
+  ALL_MARKETS.clear();
 
   markets.forEach(market => {
     if (market.isDelisted) return;
 
     const name = market.name;
-    const cleanName = name.replace(`${DEX_NAME}:`, '');
+    const cleanName = getSymbol(name);
 
-    ALL_XYZ_MARKETS.add(name);
+    ALL_MARKETS.add(name);
+    registerMarketDecimals(market);
 
     const category = classifyAsset(name);
-    if (MARKET_CATEGORIES[category]) {
+    if (MARKET_CATEGORIES[category] && !MARKET_CATEGORIES[category].includes(cleanName)) {
       MARKET_CATEGORIES[category].push(cleanName);
     }
   });
 
+  const unclassified = AssetCategories.getUnclassified(Array.from(ALL_MARKETS));
+  if (unclassified.length > 0) {
+    console.warn('Markets without a category:', unclassified);
+  }
+
   console.log('Updated market categories:', MARKET_CATEGORIES);
-  console.log('Total xyz markets:', ALL_XYZ_MARKETS.size);
+  console.log('Total markets:', ALL_MARKETS.size, 'on', trackedDexes.join(', '));
 }
 
-// Get full asset name with dex prefix
-function getFullAssetName(symbol) {
-  return `${DEX_NAME}:${symbol}`;
+// Get full asset name with dex prefix (names that already carry one are kept)
+function getFullAssetName(symbol, dex = DEFAULT_DEX) {
+  return symbol.includes(':') ? symbol : `${dex}:${symbol}`;
 }
 
-// Get category for an asset
+// Get category for an asset (overrides apply immediately)
 function getAssetCategory(symbol) {
-  const cleanSymbol = symbol.replace(`${DEX_NAME}:`, '');
-  for (const [category, assets] of Object.entries(MARKET_CATEGORIES)) {
-    if (assets.includes(cleanSymbol)) {
-      return category;
-    }
-  }
-  // Try auto-classification for new assets
   return classifyAsset(symbol);
 }
 
 // Get friendly category name
 function getCategoryName(category) {
-  const names = {
-    equities: 'Équités',
-    commodities: 'Matières Premières',
-    forex: 'Forex',
-    index: 'Indices',
-    all: 'Tout',
-    other: 'Autre'
-  };
-  return names[category] || category;
+  return AssetCategories.getCategoryLabel(category);
 }
 
 /**
- * Get all xyz market names for WebSocket subscriptions
+ * Get all market names on the tracked DEXes for WebSocket subscriptions
  */
-function getAllXyzMarkets() {
-  return Array.from(ALL_XYZ_MARKETS);
+function getAllMarkets() {
+  return Array.from(ALL_MARKETS);
+}
+
+/**
+ * Remember a market's szDecimals from its meta universe entry
+ */
+function registerMarketDecimals(market) {
+  if (market && market.name && Number.isInteger(market.szDecimals)) {
+    MARKET_SZ_DECIMALS.set(market.name, market.szDecimals);
+  }
+}
+
+/**
+ * Number of decimals a price can carry on a market
+ * Follows the exchange's tick rules: at most 5 significant figures and
+ * 6 - szDecimals decimals. Returns null for markets with unknown metadata.
+ */
+function getPriceDecimals(coin, price) {
+  if (!coin || !MARKET_SZ_DECIMALS.has(coin)) return null;
+
+  const maxDecimals = MAX_PERP_DECIMALS - MARKET_SZ_DECIMALS.get(coin);
+  const magnitude = Math.abs(price) > 0 ? Math.floor(Math.log10(Math.abs(price))) : 0;
+  const sigFigDecimals = Math.max(0, MAX_PRICE_SIG_FIGS - 1 - magnitude);
+  return Math.max(0, Math.min(maxDecimals, sigFigDecimals));
 }
 
 /**
  * Make a POST request to the Hyperliquid info API
+ * options.priority: 'high' | 'normal' | 'low' (default 'normal')
+ * options.cache: 'stale-while-revalidate' (default) | 'network-first'
  */
-async function apiRequest(body) {
+async function apiRequest(body, options = {}) {
   try {
-    const response = await fetch(`${API_BASE}/info`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(body)
-    });
-
-    if (!response.ok) {
-      throw new Error(`API Error: ${response.status}`);
+    if (ResponseCache.isCacheable(body)) {
+      return await ResponseCache.request(body, () => scheduler.schedule(body, options), options.cache);
     }
-
-    return await response.json();
+    return await scheduler.schedule(body, options);
   } catch (error) {
     console.error('API Request failed:', error);
     throw error;
@@ -147,23 +203,58 @@ async function apiRequest(body) {
 }
 
 /**
- * Get market metadata for xyz DEX
+ * List the perp DEXes (the first entry, the main DEX, comes back as null)
+ * Each entry: { name, fullName, deployer, ... }
  */
-async function getMarketMeta() {
+async function getPerpDexs() {
+  const dexes = await apiRequest({ type: 'perpDexs' }, { priority: 'high' });
+  availableDexes = (dexes || []).filter(Boolean);
+  return availableDexes;
+}
+
+/**
+ * Get the perp DEXes from the last getPerpDexs call
+ */
+function getAvailableDexes() {
+  return availableDexes;
+}
+
+/**
+ * Run a per-DEX request for every tracked DEX
+ * Resolves to { [dex]: result }
+ */
+async function requestTrackedDexes(request) {
+  const dexes = getTrackedDexes();
+  const results = await Promise.all(dexes.map(dex => request(dex)));
+  return Object.fromEntries(dexes.map((dex, i) => [dex, results[i]]));
+}
+
+/**
+ * Get market metadata for a DEX
+ */
+async function getMarketMeta(dex = DEFAULT_DEX) {
   return await apiRequest({
     type: 'meta',
-    dex: DEX_NAME
-  });
+    dex
+  }, { priority: 'high' });
 }
 
 /**
- * Get all current mid prices
+ * Get all current mid prices on a DEX
  */
-async function getAllMids() {
+async function getAllMids(dex = DEFAULT_DEX) {
   return await apiRequest({
     type: 'allMids',
-    dex: DEX_NAME
-  });
+    dex
+  }, { priority: 'high' });
+}
+
+/**
+ * Get mid prices for every tracked DEX, merged into one map keyed by coin
+ */
+async function getTrackedMids() {
+  const byDex = await requestTrackedDexes(dex => getAllMids(dex));
+  return Object.assign({}, ...Object.values(byDex));
 }
 
 /**
@@ -174,7 +265,7 @@ async function getUserFills(userAddress, aggregateByTime = true) {
     type: 'userFills',
     user: userAddress,
     aggregateByTime
-  });
+  }, { priority: 'low' });
 }
 
 /**
@@ -192,154 +283,198 @@ async function getUserFillsByTime(userAddress, startTime, endTime = null) {
     body.endTime = endTime;
   }
 
-  return await apiRequest(body);
+  return await apiRequest(body, { priority: 'low' });
 }
 
 /**
- * Get user's open orders
+ * Get user's funding payments by time range
+ * Each entry: { time, hash, delta: { type: 'funding', coin, usdc, szi, fundingRate } }
  */
-async function getUserOpenOrders(userAddress) {
+async function getUserFunding(userAddress, startTime, endTime = null) {
+  const body = {
+    type: 'userFunding',
+    user: userAddress,
+    startTime: startTime
+  };
+
+  if (endTime) {
+    body.endTime = endTime;
+  }
+
+  return await apiRequest(body, { priority: 'low' });
+}
+
+/**
+ * Get user's open orders on a DEX
+ */
+async function getUserOpenOrders(userAddress, dex = DEFAULT_DEX) {
   return await apiRequest({
     type: 'openOrders',
     user: userAddress,
-    dex: DEX_NAME
-  });
+    dex
+  }, { priority: 'low' });
 }
 
 /**
- * Get user's clearinghouse state (account value, positions, PNL)
+ * Get user's clearinghouse state on a DEX (account value, positions, PNL)
  */
-async function getUserState(userAddress) {
+async function getUserState(userAddress, dex = DEFAULT_DEX) {
   return await apiRequest({
     type: 'clearinghouseState',
-    user: userAddress
-  });
+    user: userAddress,
+    dex
+  }, { priority: 'low' });
 }
 
 /**
- * Calculate PNL from user fills
- * Returns realized PNL by analyzing buy/sell fills
+ * Calculate PNL from user fills (and optionally funding payments)
+ * Replays fills on the tracked DEXes through the position engine (see js/pnl.js)
+ * and adds per-DEX totals under byDex
+ * method: 'fifo' | 'lifo' | 'average'
  */
-function calculatePNLFromFills(fills) {
-  const pnlByAsset = {};
-  let totalRealizedPnl = 0;
-  let totalVolume = 0;
-  let totalTrades = 0;
-
-  // Filter to xyz fills only
-  const xyzFills = fills.filter(f => f.coin && f.coin.startsWith('xyz:'));
-
-  xyzFills.forEach(fill => {
-    const asset = fill.coin;
-    const price = parseFloat(fill.px);
-    const size = parseFloat(fill.sz);
-    const isBuy = fill.side === 'B' || fill.side === 'buy';
-    const value = price * size;
-
-    if (!pnlByAsset[asset]) {
-      pnlByAsset[asset] = {
-        buys: [],
-        sells: [],
-        realizedPnl: 0,
-        volume: 0,
-        trades: 0
-      };
-    }
-
-    pnlByAsset[asset].volume += value;
-    pnlByAsset[asset].trades += 1;
-    totalVolume += value;
-    totalTrades += 1;
-
-    if (isBuy) {
-      pnlByAsset[asset].buys.push({ price, size, value });
-    } else {
-      pnlByAsset[asset].sells.push({ price, size, value });
-    }
-  });
-
-  // Calculate realized PNL using FIFO method
-  Object.keys(pnlByAsset).forEach(asset => {
-    const data = pnlByAsset[asset];
-    const buys = [...data.buys];
-    const sells = [...data.sells];
-
-    let realizedPnl = 0;
-
-    sells.forEach(sell => {
-      let remainingSellSize = sell.size;
+function calculatePNLFromFills(fills, method = PnlEngine.DEFAULT_COST_BASIS, fundings = []) {
+  return summarizePnlBook(createTrackedPnlBook(fills, method, fundings));
+}
 
-      while (remainingSellSize > 0 && buys.length > 0) {
-        const buy = buys[0];
-        const matchSize = Math.min(remainingSellSize, buy.size);
+/**
+ * Incremental PNL book seeded with the fills and funding on the tracked DEXes
+ * Later fills can be added with applyTrackedFill, in time order
+ */
+function createTrackedPnlBook(fills, method = PnlEngine.DEFAULT_COST_BASIS, fundings = []) {
+  const book = PnlEngine.createPnlBook(method);
+  PnlEngine.sortFills(fills.filter(f => isTrackedCoin(f.coin))).forEach(fill => book.applyFill(fill));
+  fundings.filter(f => f.delta && isTrackedCoin(f.delta.coin)).forEach(entry => book.applyFunding(entry));
+  return book;
+}
 
-        // PNL = (sell price - buy price) * matched size
-        realizedPnl += (sell.price - buy.price) * matchSize;
+/**
+ * Apply one fill or funding entry to a tracked book; entries on other DEXes are ignored
+ */
+function applyTrackedFill(book, fill) {
+  if (isTrackedCoin(fill.coin)) book.applyFill(fill);
+}
 
-        remainingSellSize -= matchSize;
-        buy.size -= matchSize;
+function applyTrackedFunding(book, entry) {
+  if (entry.delta && isTrackedCoin(entry.delta.coin)) book.applyFunding(entry);
+}
 
-        if (buy.size <= 0) {
-          buys.shift();
-        }
-      }
+/**
+ * Summary of a tracked book, with per-DEX totals under byDex
+ */
+function summarizePnlBook(book) {
+  const pnl = book.summarize();
+
+  pnl.byDex = {};
+  Object.entries(pnl.byAsset).forEach(([asset, data]) => {
+    const dex = getCoinDex(asset);
+    const totals = pnl.byDex[dex] || (pnl.byDex[dex] = {
+      netPnl: 0, realizedPnl: 0, funding: 0, fees: 0, volume: 0, trades: 0, assets: 0
     });
-
-    pnlByAsset[asset].realizedPnl = realizedPnl;
-    totalRealizedPnl += realizedPnl;
+    totals.netPnl += data.netPnl;
+    totals.realizedPnl += data.realizedPnl;
+    totals.funding += data.funding;
+    totals.fees += data.fees;
+    totals.volume += data.volume;
+    totals.trades += data.trades;
+    totals.assets += 1;
   });
 
-  return {
-    byAsset: pnlByAsset,
-    totalRealizedPnl,
-    totalVolume,
-    totalTrades
-  };
+  return pnl;
 }
 
 /**
  * Get L2 order book snapshot
  */
-async function getL2Book(coin) {
+async function getL2Book(coin, options = {}) {
   return await apiRequest({
     type: 'l2Book',
     coin: getFullAssetName(coin)
-  });
+  }, options);
+}
+
+/**
+ * Get the most recent trades for a coin
+ */
+async function getRecentTrades(coin, options = {}) {
+  return await apiRequest({
+    type: 'recentTrades',
+    coin: getFullAssetName(coin)
+  }, options);
 }
 
 /**
  * Get candle snapshot for charts
  */
-async function getCandles(coin, interval = '1h', startTime = null) {
+async function getCandles(coin, interval = '1h', startTime = null, options = {}) {
+  // Default 24h, rounded to the minute so repeated calls share a cache key
+  const defaultStart = Math.floor((Date.now() - 24 * 60 * 60 * 1000) / 60000) * 60000;
   const body = {
     type: 'candleSnapshot',
     req: {
       coin: getFullAssetName(coin),
       interval: interval,
-      startTime: startTime || Date.now() - 24 * 60 * 60 * 1000 // Default 24h
+      startTime: startTime || defaultStart
     }
   };
 
-  return await apiRequest(body);
+  return await apiRequest(body, options);
+}
+
+/**
+ * Get all candles of an interval between two times, paging past the
+ * per-response limit. endTime = null means "up to now" and is left out of the
+ * request so the cache key stays stable between refreshes.
+ */
+async function getCandleHistory(coin, interval, startTime, endTime = null, options = {}) {
+  const candles = [];
+  let cursor = startTime;
+
+  while (true) {
+    const req = { coin: getFullAssetName(coin), interval, startTime: cursor };
+    if (endTime) req.endTime = endTime;
+
+    const page = await apiRequest({ type: 'candleSnapshot', req }, options) || [];
+    candles.push(...page);
+    if (page.length < CANDLES_PAGE_LIMIT) break;
+    cursor = page[page.length - 1].t + 1;
+  }
+
+  return candles;
 }
 
 /**
  * Format price for display
+ * With a coin, uses the market's tick precision (see getPriceDecimals);
+ * otherwise (USD amounts, unknown markets) 2 decimals
  */
-function formatPrice(price, decimals = 2) {
+function formatPrice(price, coin = null) {
   const num = parseFloat(price);
   if (isNaN(num)) return '—';
 
+  const tickDecimals = getPriceDecimals(coin, num);
+  const decimals = tickDecimals === null ? 2 : tickDecimals;
+
   if (num >= 1000) {
     return num.toLocaleString('en-US', {
-      minimumFractionDigits: 2,
-      maximumFractionDigits: 2
+      minimumFractionDigits: decimals,
+      maximumFractionDigits: decimals
     });
   }
 
   return num.toFixed(decimals);
 }
 
+/**
+ * Format an order or position size with the market's szDecimals (4 when unknown)
+ */
+function formatSize(size, coin = null) {
+  const num = parseFloat(size);
+  if (isNaN(num)) return '—';
+
+  const decimals = MARKET_SZ_DECIMALS.has(coin) ? MARKET_SZ_DECIMALS.get(coin) : 4;
+  return num.toFixed(decimals);
+}
+
 /**
  * Format large numbers
  */
@@ -390,26 +525,69 @@ function truncateAddress(address) {
 }
 
 /**
- * Get full market metadata with asset contexts (prices, funding, OI, etc.)
+ * Get full market metadata with asset contexts (prices, funding, OI, etc.) for a DEX
  * This is the enhanced API call that returns HIP-3 analytics data
  */
-async function getMetaAndAssetCtxs() {
+async function getMetaAndAssetCtxs(dex = DEFAULT_DEX, options = {}) {
   return await apiRequest({
     type: 'metaAndAssetCtxs',
-    dex: DEX_NAME
-  });
+    dex
+  }, options);
 }
 
 /**
  * Get perp funding history for a coin
  */
-async function getFundingHistory(coin, startTime = null) {
+async function getFundingHistory(coin, startTime = null, options = {}) {
   const body = {
     type: 'fundingHistory',
     coin: getFullAssetName(coin),
     startTime: startTime || Date.now() - 7 * 24 * 60 * 60 * 1000 // Default 7 days
   };
-  return await apiRequest(body);
+  return await apiRequest(body, options);
+}
+
+/**
+ * Get the API's predicted next funding per coin and venue
+ */
+async function getPredictedFundings() {
+  return await apiRequest({
+    type: 'predictedFundings'
+  });
+}
+
+/**
+ * Hyperliquid's own predictions from a predictedFundings response
+ * Returns { [coin]: { fundingRate, nextFundingTime } }
+ */
+function parsePredictedFundings(data) {
+  const predicted = {};
+  (data || []).forEach(([coin, venues]) => {
+    const venue = (venues || []).find(([name, info]) => name === 'HlPerp' && info);
+    if (venue) {
+      predicted[coin] = {
+        fundingRate: parseFloat(venue[1].fundingRate),
+        nextFundingTime: venue[1].nextFundingTime
+      };
+    }
+  });
+  return predicted;
+}
+
+/**
+ * Hourly funding implied by the current premium (an estimate: the actual rate
+ * uses the premium averaged over the hour)
+ */
+function estimateFundingFromPremium(premium) {
+  const clamped = Math.max(-FUNDING_PREMIUM_CAP, Math.min(FUNDING_PREMIUM_CAP, FUNDING_INTEREST_RATE - premium));
+  return (premium + clamped) / FUNDING_PERIODS_PER_8H;
+}
+
+/**
+ * Funding is paid at the top of every hour
+ */
+function getNextFundingTime(now = Date.now()) {
+  return (Math.floor(now / FUNDING_INTERVAL) + 1) * FUNDING_INTERVAL;
 }
 
 /**
@@ -464,9 +642,9 @@ function formatOpenInterest(oi, price) {
 }
 
 /**
- * Process raw API data into HIP-3 analytics format
+ * Process raw API data into HIP-3 analytics format, tagging each market with its DEX
  */
-function processHip3Analytics(metaAndCtxs) {
+function processHip3Analytics(metaAndCtxs, dex = DEFAULT_DEX, predictedFundings = {}) {
   if (!metaAndCtxs || !Array.isArray(metaAndCtxs) || metaAndCtxs.length < 2) {
     return [];
   }
@@ -482,6 +660,8 @@ function processHip3Analytics(metaAndCtxs) {
 
     if (!market || !ctx || market.isDelisted) continue;
 
+    registerMarketDecimals(market);
+
     const name = market.name;
     const markPrice = parseFloat(ctx.markPx || 0);
     const prevDayPrice = parseFloat(ctx.prevDayPx || markPrice);
@@ -492,16 +672,27 @@ function processHip3Analytics(metaAndCtxs) {
 
     const change24h = format24hChange(markPrice, prevDayPrice);
 
+    // Prefer the API's prediction; markets it does not cover are estimated from the premium
+    const predicted = predictedFundings[name];
+    const predictedFunding = predicted ? predicted.fundingRate : estimateFundingFromPremium(premium);
+
     analytics.push({
-      name: name.replace(`${DEX_NAME}:`, ''),
+      name: getSymbol(name),
       fullName: name,
+      dex,
       category: classifyAsset(name),
+      needsCategory: AssetCategories.needsCategory(name),
       markPrice,
       prevDayPrice,
       change24h: change24h.value,
       change24hFormatted: change24h.formatted,
       funding,
       fundingFormatted: formatFundingRate(funding),
+      predictedFunding,
+      predictedFundingFormatted: formatFundingRate(predictedFunding),
+      predictedFundingSource: predicted ? 'api' : 'premium',
+      predictedApr: predictedFunding * 24 * 365,
+      nextFundingTime: predicted && predicted.nextFundingTime > Date.now() ? predicted.nextFundingTime : getNextFundingTime(),
       openInterest,
       openInterestUsd: openInterest * markPrice,
       openInterestFormatted: formatOpenInterest(openInterest, markPrice),
@@ -521,24 +712,47 @@ function processHip3Analytics(metaAndCtxs) {
 
 // Export functions
 window.HyperliquidAPI = {
+  getPerpDexs,
+  getAvailableDexes,
+  getTrackedDexes,
+  setTrackedDexes,
+  requestTrackedDexes,
   getMarketMeta,
   getAllMids,
+  getTrackedMids,
   getMetaAndAssetCtxs,
   getFundingHistory,
+  getPredictedFundings,
+  parsePredictedFundings,
+  estimateFundingFromPremium,
+  getNextFundingTime,
   getUserFills,
   getUserFillsByTime,
+  getUserFunding,
   getUserOpenOrders,
   getUserState,
   calculatePNLFromFills,
+  createTrackedPnlBook,
+  applyTrackedFill,
+  applyTrackedFunding,
+  summarizePnlBook,
   getL2Book,
+  getRecentTrades,
   getCandles,
+  getCandleHistory,
   getFullAssetName,
+  getCoinDex,
+  getSymbol,
+  getDisplayName,
+  isTrackedCoin,
   getAssetCategory,
   getCategoryName,
   updateMarketCategories,
-  getAllXyzMarkets,
+  getAllMarkets,
   classifyAsset,
   formatPrice,
+  formatSize,
+  getPriceDecimals,
   formatNumber,
   formatTime,
   formatDate,
@@ -547,9 +761,10 @@ window.HyperliquidAPI = {
   format24hChange,
   formatOpenInterest,
   processHip3Analytics,
+  getSchedulerStats: () => scheduler.getStats(),
   isValidAddress,
   truncateAddress,
   MARKET_CATEGORIES,
-  DEX_NAME
+  DEFAULT_DEX
 };
 
@@ -9,20 +9,46 @@ const state = {
     meta: null,
     trades: [],
     userFills: [],
+    userFunding: [],
+    pnlBook: null,  // Incremental PNL book behind pnlData, fed by live fills while watching
+    accountStates: null,  // { [dex]: clearinghouseState } for the looked-up wallet
+    openOrders: [],
     currentCategory: 'all',
     searchQuery: '',
     walletAddress: '',
+    pnlMethod: localStorage.getItem('pnlMethod') || PnlEngine.DEFAULT_COST_BASIS,
     uniqueTraders: new Set(),  // Track unique wallet addresses
     // HIP-3 Analytics State
     hip3Data: [],
     hip3Category: 'all',
     hip3Search: '',
-    hip3Sort: { column: 'volume24h', direction: 'desc' }
+    hip3FundingFilter: 'all',
+    hip3Sort: { column: 'volume24h', direction: 'desc' },
+    fundingAverages: {},  // { [coin]: FundingAnalytics averages } for the regime column
+    // Liquidity State
+    impactProfiles: [],
+    impactSort: { column: '250000', direction: 'asc' },
+    monitorSort: { column: 'depth1', direction: 'desc' }
 };
 
 // Maximum trades to keep in feed
 const MAX_TRADES = 100;
 
+// Every market's book is polled this often for the impact table and liquidity monitor
+const LIQUIDITY_REFRESH_INTERVAL = 60 * 1000;
+
+// Predicted APR at or beyond this (either sign) counts as high funding in the HIP-3 filter
+const HIGH_FUNDING_APR = 0.25;
+
+// Funding regimes only move over days, so their 7d history is reloaded rarely
+const FUNDING_REGIME_REFRESH_INTERVAL = 30 * 60 * 1000;
+
+// Aborts the fill history load of the previous wallet lookup
+let walletHistoryController = null;
+
+// Live subscriptions of the watched wallet: { address, subscriptions, listeners, knownFills, knownFundings }
+let walletWatch = null;
+
 /**
  * Initialize the application
  */
@@ -32,6 +58,9 @@ async function init() {
     // Setup event listeners
     setupEventListeners();
 
+    // List the perp DEXes that can be tracked
+    await loadPerpDexs();
+
     // Load initial data
     await loadMarketData();
 
@@ -47,11 +76,8 @@ async function init() {
     // Start HIP-3 data refresh (every 15 seconds)
     startHip3Refresh();
 
-    // Initialize charts
-    if (window.Charts) {
-        Charts.init();
-        Charts.renderChartLegend();
-    }
+    // Count down to the next hourly funding payment
+    startFundingCountdown();
 
     console.log('Application initialized!');
 }
@@ -77,15 +103,18 @@ function setupEventListeners() {
         });
     });
 
-    // Category tabs
-    document.querySelectorAll('.category-tab').forEach(tab => {
-        tab.addEventListener('click', (e) => {
+    // Category tabs (re-rendered as categories change, so listen on the container)
+    const categoryTabs = document.getElementById('categoryTabs');
+    if (categoryTabs) {
+        categoryTabs.addEventListener('click', (e) => {
+            const tab = e.target.closest('.category-tab');
+            if (!tab) return;
             document.querySelectorAll('.category-tab').forEach(t => t.classList.remove('active'));
-            e.target.classList.add('active');
-            state.currentCategory = e.target.dataset.category;
+            tab.classList.add('active');
+            state.currentCategory = tab.dataset.category;
             filterMarkets();
         });
-    });
+    }
 
     // Wallet lookup form
     const walletForm = document.getElementById('walletForm');
@@ -99,8 +128,20 @@ function setupEventListeners() {
         });
     }
 
+    // Live wallet watch toggle
+    const watchBtn = document.getElementById('walletWatchBtn');
+    if (watchBtn) {
+        watchBtn.addEventListener('click', toggleWalletWatch);
+    }
+
+    // Session recording and replay
+    setupStreamControls();
+
     // Setup HIP-3 analytics listeners
     setupHip3Listeners();
+
+    // Setup liquidity listeners
+    setupLiquidityListeners();
 }
 
 /**
@@ -117,14 +158,26 @@ function switchTab(tabName) {
         content.classList.toggle('active', content.id === `tab-${tabName}`);
     });
 
-    // Re-initialize charts if switching to analytics tab
+    // Charts load their candles only once the analytics tab is shown
     if (tabName === 'analytics' && window.Charts) {
         // Small delay to ensure DOM is visible
         setTimeout(() => {
             Charts.init();
-            Charts.renderChartLegend();
         }, 100);
     }
+
+    if (tabName === 'hip3') {
+        startFundingRegimeRefresh();
+    }
+
+    if (tabName === 'liquidity') {
+        startLiquidityRefresh();
+        renderImpactMarketOptions();
+    }
+
+    if (tabName === 'funding') {
+        FundingView.show();
+    }
 }
 
 /**
@@ -137,33 +190,41 @@ async function loadMarketData() {
     }
 
     try {
-        // Fetch meta and prices in parallel
-        const [meta, prices] = await Promise.all([
-            HyperliquidAPI.getMarketMeta(),
-            HyperliquidAPI.getAllMids()
+        // Fetch meta and prices for every tracked DEX in parallel
+        const [metas, prices] = await Promise.all([
+            HyperliquidAPI.requestTrackedDexes(dex => HyperliquidAPI.getMarketMeta(dex)),
+            HyperliquidAPI.getTrackedMids()
         ]);
 
-        state.meta = meta;
+        state.meta = metas;
         state.prices = prices;
+        state.markets = {};
 
         // Update dynamic market categories from API data
-        if (meta && meta.universe) {
-            HyperliquidAPI.updateMarketCategories(meta.universe);
-
-            meta.universe.forEach(market => {
-                if (!market.isDelisted) {
-                    state.markets[market.name] = {
-                        ...market,
-                        price: prices[market.name] || 0
-                    };
-                }
-            });
-        }
+        const universe = Object.entries(metas).flatMap(([dex, meta]) =>
+            (meta && meta.universe || []).map(market => ({ ...market, dex }))
+        );
+        HyperliquidAPI.updateMarketCategories(universe);
+
+        universe.forEach(market => {
+            if (!market.isDelisted) {
+                state.markets[market.name] = {
+                    ...market,
+                    price: prices[market.name] || 0
+                };
+            }
+        });
 
         // Render markets
+        renderCategoryFilters();
         renderMarkets();
         updateStats();
 
+        // Follow the (possibly changed) market list on the live trade feed
+        if (wsManager.getStatus()) {
+            wsManager.subscribeAllTrades();
+        }
+
     } catch (error) {
         console.error('Failed to load market data:', error);
         if (marketsGrid) {
@@ -186,12 +247,11 @@ function renderMarkets() {
         .filter(([name, market]) => !market.isDelisted)
         .sort((a, b) => {
             // Sort by category priority, then alphabetically
-            const catOrder = { index: 0, equities: 1, commodities: 2, forex: 3 };
-            const catA = HyperliquidAPI.getAssetCategory(a[0]);
-            const catB = HyperliquidAPI.getAssetCategory(b[0]);
+            const orderA = AssetCategories.getCategoryOrder(HyperliquidAPI.getAssetCategory(a[0]));
+            const orderB = AssetCategories.getCategoryOrder(HyperliquidAPI.getAssetCategory(b[0]));
 
-            if (catOrder[catA] !== catOrder[catB]) {
-                return (catOrder[catA] || 99) - (catOrder[catB] || 99);
+            if (orderA !== orderB) {
+                return orderA - orderB;
             }
             return a[0].localeCompare(b[0]);
         });
@@ -208,6 +268,68 @@ function renderMarkets() {
     filterMarkets();
 }
 
+/**
+ * Render the category tabs (Markets) and filters (HIP-3) from the category registry
+ * Only categories that currently have markets are shown
+ */
+function renderCategoryFilters() {
+    const coins = [...Object.keys(state.markets), ...state.hip3Data.map(m => m.fullName)];
+    const used = new Set(coins.map(coin => HyperliquidAPI.getAssetCategory(coin)));
+    const categories = AssetCategories.CATEGORIES.filter(c => used.has(c.id));
+
+    // Fall back to "all" when the selected category no longer has markets
+    if (!used.has(state.currentCategory)) state.currentCategory = 'all';
+    if (!used.has(state.hip3Category)) state.hip3Category = 'all';
+
+    const categoryTabs = document.getElementById('categoryTabs');
+    if (categoryTabs) {
+        categoryTabs.innerHTML = [{ id: 'all', icon: '🌐' }, ...categories].map(category => `
+            <button class="category-tab ${category.id === state.currentCategory ? 'active' : ''}"
+                data-category="${category.id}">${category.icon} ${i18n.t(category.id)}</button>
+        `).join('');
+    }
+
+    const hip3Filters = document.getElementById('hip3CategoryFilters');
+    if (hip3Filters) {
+        hip3Filters.innerHTML = [{ id: 'all', icon: '🌐' }, ...categories].map(category => `
+            <button class="hip3-filter-btn ${category.id === state.hip3Category ? 'active' : ''}"
+                data-hip3-category="${category.id}">${category.icon} ${i18n.t(category.id)}</button>
+        `).join('');
+    }
+}
+
+/**
+ * Apply a category override everywhere categories are shown
+ */
+function applyCategoryChange() {
+    HyperliquidAPI.updateMarketCategories(Object.values(state.markets));
+
+    state.hip3Data.forEach(market => {
+        market.category = HyperliquidAPI.getAssetCategory(market.fullName);
+        market.needsCategory = AssetCategories.needsCategory(market.fullName);
+    });
+
+    renderCategoryFilters();
+    renderMarkets();
+    renderUnclassifiedNotice();
+    renderHip3Table();
+}
+
+/**
+ * List markets that still need a category above the HIP-3 table
+ */
+function renderUnclassifiedNotice() {
+    const container = document.getElementById('hip3Unclassified');
+    if (!container) return;
+
+    const unclassified = AssetCategories.getUnclassified(state.hip3Data.map(m => m.fullName));
+    container.innerHTML = unclassified.length === 0 ? '' : `
+        <div class="hip3-unclassified">
+            ⚠️ ${i18n.t('unclassifiedNotice')}: ${unclassified.map(coin => HyperliquidAPI.getDisplayName(coin)).join(', ')}
+        </div>
+    `;
+}
+
 /**
  * Filter markets based on category and search
  */
@@ -217,7 +339,7 @@ function filterMarkets() {
     cards.forEach(card => {
         const asset = card.dataset.asset;
         const category = card.dataset.category;
-        const symbol = asset.replace('xyz:', '').toLowerCase();
+        const symbol = HyperliquidAPI.getDisplayName(asset).toLowerCase();
 
         const matchesCategory = state.currentCategory === 'all' || category === state.currentCategory;
         const matchesSearch = !state.searchQuery || symbol.includes(state.searchQuery);
@@ -250,20 +372,45 @@ function updateStats() {
 }
 
 
+// Failures arrive one subscription at a time; they are reported together in one toast
+const SUBSCRIPTION_FAILURE_DELAY = 1000;
+let failedSubscriptionQueue = [];
+let subscriptionFailureTimer = null;
+
+function queueSubscriptionFailure(subscription) {
+    failedSubscriptionQueue.push(subscription);
+    if (subscriptionFailureTimer) return;
+
+    subscriptionFailureTimer = setTimeout(() => {
+        const names = failedSubscriptionQueue.map(Components.formatSubscription);
+        const more = names.length > 3 ? ` +${names.length - 3}` : '';
+        Components.showToast(`${i18n.t('subscriptionFailed')}: ${names.slice(0, 3).join(', ')}${more}`, 'error');
+        failedSubscriptionQueue = [];
+        subscriptionFailureTimer = null;
+    }, SUBSCRIPTION_FAILURE_DELAY);
+}
+
 /**
  * Connect WebSocket and setup handlers
  */
 function connectWebSocket() {
     // Connection status
-    wsManager.onConnect(() => {
+    wsManager.onConnect(({ reconnected }) => {
         Components.updateConnectionStatus(true);
         Components.showToast(i18n.t('connectedRealtime'), 'success');
 
-        // Subscribe to all xyz trades
+        // Subscribe to all trades on the tracked DEXes
         wsManager.subscribeAllTrades();
+
+        // Fill in what was missed while the socket was down
+        if (reconnected) {
+            resyncAfterReconnect();
+        }
     });
 
     wsManager.onDisconnect(() => {
+        // A replay closes the socket on purpose and shows its own status
+        if (StreamRecorder.isReplaying()) return;
         Components.updateConnectionStatus(false);
     });
 
@@ -280,6 +427,14 @@ function connectWebSocket() {
         console.error('WebSocket error:', error);
     });
 
+    // Surface subscriptions the exchange rejected or never acknowledged
+    wsManager.onSubscriptionChange((subscription, status) => {
+        if (status === 'failed') {
+            queueSubscriptionFailure(subscription);
+        }
+        Components.updateConnectionStatus(wsManager.getStatus());
+    });
+
     // Connect
     wsManager.connect();
 }
@@ -288,8 +443,8 @@ function connectWebSocket() {
  * Add trade to feed
  */
 function addTrade(trade) {
-    // Only show xyz trades
-    if (!trade.coin || !trade.coin.startsWith('xyz:')) return;
+    // Only show trades on the tracked DEXes
+    if (!HyperliquidAPI.isTrackedCoin(trade.coin)) return;
 
     // Track unique trader address
     if (trade.users && trade.users.length > 0) {
@@ -326,35 +481,95 @@ function addTrade(trade) {
         const priceEl = card.querySelector('.market-price');
         if (priceEl) {
             const oldPrice = parseFloat(priceEl.dataset.price);
-            Components.updatePriceElement(priceEl, trade.px, oldPrice);
+            Components.updatePriceElement(priceEl, trade.px, oldPrice, trade.coin);
         }
     }
 
     updateStats();
 }
 
+/**
+ * Store fresh mids and update the market cards
+ */
+function applyPrices(prices) {
+    Object.entries(prices).forEach(([asset, price]) => {
+        const oldPrice = state.prices[asset];
+        state.prices[asset] = price;
+
+        // Update card
+        const card = document.querySelector(`.market-card[data-asset="${asset}"]`);
+        if (card) {
+            const priceEl = card.querySelector('.market-price');
+            if (priceEl) {
+                Components.updatePriceElement(priceEl, price, oldPrice, asset);
+            }
+        }
+    });
+}
+
+/**
+ * Re-sync REST snapshots after a reconnect: fresh mids, and the trades of
+ * every market since the newest one in the feed, so the feed has no gap
+ */
+async function resyncAfterReconnect() {
+    const since = state.trades.length > 0 ? state.trades[0].time : 0;
+    const known = new Set(state.trades.map(trade => trade.tid));
+
+    try {
+        applyPrices(await HyperliquidAPI.getTrackedMids());
+    } catch (error) {
+        console.error('Price resync failed:', error);
+    }
+
+    const results = await Promise.allSettled(
+        HyperliquidAPI.getAllMarkets().map(coin => HyperliquidAPI.getRecentTrades(coin, { priority: 'low' }))
+    );
+
+    // A live trade may have arrived during the requests, so check the feed again
+    state.trades.forEach(trade => known.add(trade.tid));
+    const missed = results
+        .filter(result => result.status === 'fulfilled')
+        .flatMap(result => result.value || [])
+        .filter(trade => trade.time >= since && !known.has(trade.tid))
+        .sort((a, b) => a.time - b.time)
+        .slice(-MAX_TRADES);
+
+    if (missed.length === 0) return;
+
+    missed.forEach(trade => addTrade(trade));
+
+    // Live trades received during the resync are newer than the gap, so restore time order
+    state.trades.sort((a, b) => b.time - a.time);
+    renderTradesFeed();
+}
+
+/**
+ * Redraw the whole trade feed from state
+ */
+function renderTradesFeed() {
+    const tradesFeed = document.getElementById('tradesFeed');
+    if (!tradesFeed) return;
+
+    tradesFeed.innerHTML = '';
+    state.trades.forEach(trade => tradesFeed.appendChild(Components.createTradeItem(trade)));
+}
+
 /**
  * Start price refresh interval
  */
 function startPriceRefresh() {
     // Refresh prices every 10 seconds
     setInterval(async () => {
+        // Live prices would mix with the replayed stream
+        if (StreamRecorder.isReplaying()) return;
+
         try {
-            const prices = await HyperliquidAPI.getAllMids();
-
-            Object.entries(prices).forEach(([asset, price]) => {
-                const oldPrice = state.prices[asset];
-                state.prices[asset] = price;
-
-                // Update card
-                const card = document.querySelector(`.market-card[data-asset="${asset}"]`);
-                if (card) {
-                    const priceEl = card.querySelector('.market-price');
-                    if (priceEl) {
-                        Components.updatePriceElement(priceEl, price, oldPrice);
-                    }
-                }
-            });
+            applyPrices(await HyperliquidAPI.getTrackedMids());
+
+            // Keep the looked-up wallet's positions and orders marked to the latest prices
+            if (state.accountStates) {
+                await refreshWalletAccount();
+            }
         } catch (error) {
             console.error('Price refresh failed:', error);
         }
@@ -372,29 +587,66 @@ async function lookupWallet(address) {
         return;
     }
 
+    // A watch follows one wallet; looking up another one ends it
+    if (walletWatch && walletWatch.address.toLowerCase() !== address.toLowerCase()) {
+        stopWalletWatch();
+    }
+
     state.walletAddress = address;
+    state.accountStates = null;
+    state.openOrders = [];
+    renderWalletPositions();
+    renderOpenOrders();
 
     if (fillsContainer) {
         Components.showLoading(fillsContainer);
     }
 
+    // Stop any history load still running for a previously searched wallet
+    if (walletHistoryController) {
+        walletHistoryController.abort();
+    }
+    const controller = new AbortController();
+    walletHistoryController = controller;
+
     try {
-        // Fetch fills and account state in parallel
-        const [fills, accountState] = await Promise.all([
-            HyperliquidAPI.getUserFills(address),
-            HyperliquidAPI.getUserState(address)
+        // Page through the full HIP-3 fill and funding history while fetching account state
+        const [history, fundings, accountStates, openOrders] = await Promise.all([
+            FillHistory.load(address, {
+                signal: controller.signal,
+                onProgress: (progress) => {
+                    if (fillsContainer && !controller.signal.aborted) {
+                        Components.showProgress(
+                            fillsContainer,
+                            `${i18n.t('loadingHistory')} · ${progress.fills} fills`,
+                            progress.percent
+                        );
+                    }
+                }
+            }),
+            FillHistory.loadFunding(address, { signal: controller.signal }),
+            HyperliquidAPI.requestTrackedDexes(dex => HyperliquidAPI.getUserState(address, dex)),
+            fetchTrackedOpenOrders(address)
         ]);
 
-        // Filter to only xyz fills
-        state.userFills = (fills || []).filter(f => f.coin && f.coin.startsWith('xyz:'));
+        if (controller.signal.aborted) return;
+
+        state.userFills = history.fills;
+        state.userFunding = fundings;
+
+        if (history.truncated) {
+            Components.showToast(i18n.t('historyTruncated'), 'info');
+        }
 
         // Calculate PNL from fills
-        const pnlData = HyperliquidAPI.calculatePNLFromFills(state.userFills);
+        recalculateWalletPnl();
 
         // Store for rendering
-        state.pnlData = pnlData;
-        state.accountState = accountState;
+        state.accountStates = accountStates;
+        state.openOrders = openOrders;
 
+        renderWalletPositions();
+        renderOpenOrders();
         renderUserFills();
 
         if (state.userFills.length === 0) {
@@ -404,6 +656,7 @@ async function lookupWallet(address) {
         }
 
     } catch (error) {
+        if (controller.signal.aborted) return;
         console.error('Failed to fetch user fills:', error);
         if (fillsContainer) {
             Components.showEmptyState(fillsContainer, 'Erreur de chargement des transactions');
@@ -412,6 +665,238 @@ async function lookupWallet(address) {
     }
 }
 
+/**
+ * Fetch a wallet's open orders on every tracked DEX as one list
+ */
+async function fetchTrackedOpenOrders(address) {
+    const byDex = await HyperliquidAPI.requestTrackedDexes(dex => HyperliquidAPI.getUserOpenOrders(address, dex));
+    return Object.values(byDex).flatMap(orders => orders || []);
+}
+
+/**
+ * Re-fetch the looked-up wallet's clearinghouse states and open orders, then re-render them
+ * Falls back to re-marking the last snapshot if the requests fail
+ */
+async function refreshWalletAccount() {
+    const address = state.walletAddress;
+
+    try {
+        const [accountStates, openOrders] = await Promise.all([
+            HyperliquidAPI.requestTrackedDexes(dex => HyperliquidAPI.getUserState(address, dex)),
+            fetchTrackedOpenOrders(address)
+        ]);
+        // Ignore the response if another wallet was looked up meanwhile
+        if (address === state.walletAddress && state.accountStates) {
+            state.accountStates = accountStates;
+            state.openOrders = openOrders;
+        }
+    } catch (error) {
+        console.error('Failed to refresh account state:', error);
+    }
+
+    renderWalletPositions();
+    renderOpenOrders();
+}
+
+/**
+ * Render open positions and the margin summary from each tracked DEX's clearinghouseState
+ * Unrealized PNL, notional and account value are re-marked with the latest mid prices
+ */
+function renderWalletPositions() {
+    const container = document.getElementById('walletPositions');
+    if (!container) return;
+
+    if (!state.accountStates) {
+        container.innerHTML = '';
+        return;
+    }
+
+    // Each HIP-3 DEX has its own margin account
+    const accountStates = Object.values(state.accountStates).filter(Boolean);
+    const positions = accountStates
+        .flatMap(accountState => accountState.assetPositions || [])
+        .map(assetPosition => assetPosition.position)
+        .filter(position => position && parseFloat(position.szi) !== 0);
+
+    let snapshotUnrealized = 0;
+    let totalUnrealized = 0;
+    let totalNotional = 0;
+
+    const rowsHTML = positions.map(position => {
+        const size = parseFloat(position.szi);
+        const entryPrice = parseFloat(position.entryPx);
+        const marginUsed = parseFloat(position.marginUsed || 0);
+        // Without a live mid, fall back to the mark implied by the snapshot
+        const markPrice = parseFloat(state.prices[position.coin]) ||
+            parseFloat(position.positionValue) / Math.abs(size);
+        const unrealized = (markPrice - entryPrice) * size;
+        const roe = marginUsed > 0 ? unrealized / marginUsed * 100 : 0;
+        const leverage = position.leverage || {};
+        const liquidationPrice = position.liquidationPx ? parseFloat(position.liquidationPx) : null;
+
+        snapshotUnrealized += parseFloat(position.unrealizedPnl || 0);
+        totalUnrealized += unrealized;
+        totalNotional += Math.abs(size) * markPrice;
+
+        return `
+            <tr>
+                <td>${HyperliquidAPI.getDisplayName(position.coin)}</td>
+                <td class="${size > 0 ? 'text-success' : 'text-danger'}">
+                    ${size > 0 ? 'Long' : 'Short'} ${HyperliquidAPI.formatSize(Math.abs(size), position.coin)}
+                </td>
+                <td>$${HyperliquidAPI.formatPrice(entryPrice, position.coin)}</td>
+                <td>$${HyperliquidAPI.formatPrice(markPrice, position.coin)}</td>
+                <td class="${unrealized >= 0 ? 'text-success' : 'text-danger'}">
+                    ${formatSignedUsd(unrealized)} (${roe >= 0 ? '+' : ''}${roe.toFixed(2)}%)
+                </td>
+                <td>${leverage.value ? `${leverage.value}x ${i18n.t('leverage_' + leverage.type)}` : '-'}</td>
+                <td>$${HyperliquidAPI.formatNumber(marginUsed)}</td>
+                <td>${liquidationPrice ? `$${HyperliquidAPI.formatPrice(liquidationPrice, position.coin)}` : '-'}</td>
+            </tr>
+        `;
+    }).join('');
+
+    const sumAccounts = getValue => accountStates.reduce((sum, accountState) => sum + parseFloat(getValue(accountState) || 0), 0);
+    // The snapshots' account values already include their own unrealized PNL
+    const accountValue = sumAccounts(s => s.marginSummary && s.marginSummary.accountValue) + totalUnrealized - snapshotUnrealized;
+    const withdrawable = sumAccounts(s => s.withdrawable);
+    const marginUsed = sumAccounts(s => s.marginSummary && s.marginSummary.totalMarginUsed);
+
+    container.innerHTML = `
+        <div class="pnl-summary-card">
+            <div class="pnl-summary-header">
+                <h3>📌 ${i18n.t('openPositions')}</h3>
+                <span class="wallet-address">${HyperliquidAPI.truncateAddress(state.walletAddress)}</span>
+            </div>
+
+            <div class="pnl-stats-grid">
+                <div class="pnl-stat-item">
+                    <div class="pnl-stat-label">${i18n.t('accountValue')}</div>
+                    <div class="pnl-stat-value">$${HyperliquidAPI.formatNumber(accountValue)}</div>
+                </div>
+                <div class="pnl-stat-item">
+                    <div class="pnl-stat-label">${i18n.t('withdrawable')}</div>
+                    <div class="pnl-stat-value">$${HyperliquidAPI.formatNumber(withdrawable)}</div>
+                </div>
+                <div class="pnl-stat-item">
+                    <div class="pnl-stat-label">${i18n.t('marginUsed')}</div>
+                    <div class="pnl-stat-value">$${HyperliquidAPI.formatNumber(marginUsed)}</div>
+                </div>
+                <div class="pnl-stat-item">
+                    <div class="pnl-stat-label">${i18n.t('unrealizedPnl')}</div>
+                    <div class="pnl-stat-value ${totalUnrealized >= 0 ? 'text-success' : 'text-danger'}">
+                        ${formatSignedUsd(totalUnrealized)}
+                    </div>
+                </div>
+            </div>
+
+            ${rowsHTML ? `
+            <table class="fills-table">
+                <thead>
+                    <tr>
+                        <th>${i18n.t('market')}</th>
+                        <th>${i18n.t('size')}</th>
+                        <th>${i18n.t('entryPrice')}</th>
+                        <th>${i18n.t('markPrice')}</th>
+                        <th>${i18n.t('unrealizedPnl')}</th>
+                        <th>${i18n.t('leverage')}</th>
+                        <th>${i18n.t('marginUsed')}</th>
+                        <th>${i18n.t('liquidationPrice')}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rowsHTML}
+                </tbody>
+            </table>
+            <div class="pnl-reconciliation">
+                ${i18n.t('totalNotional')}: $${HyperliquidAPI.formatNumber(totalNotional)}
+            </div>
+            ` : `
+            <p class="text-secondary">${i18n.t('noOpenPositions')}</p>
+            `}
+        </div>
+    `;
+}
+
+/**
+ * Render the looked-up wallet's resting orders on the tracked DEXes
+ * Distance is measured from the latest mid price, so it moves with each price refresh
+ */
+function renderOpenOrders() {
+    const container = document.getElementById('walletOrders');
+    if (!container) return;
+
+    if (!state.accountStates) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const orders = state.openOrders.filter(order => HyperliquidAPI.isTrackedCoin(order.coin));
+    let bidNotional = 0;
+    let askNotional = 0;
+
+    const rowsHTML = [...orders]
+        .sort((a, b) => a.coin.localeCompare(b.coin) || parseFloat(b.limitPx) - parseFloat(a.limitPx))
+        .map(order => {
+            const isBuy = order.side === 'B';
+            const price = parseFloat(order.limitPx);
+            const size = parseFloat(order.sz);
+            const notional = price * size;
+            const markPrice = parseFloat(state.prices[order.coin]);
+            const distance = markPrice ? (price - markPrice) / markPrice * 100 : null;
+
+            if (isBuy) {
+                bidNotional += notional;
+            } else {
+                askNotional += notional;
+            }
+
+            return `
+                <tr>
+                    <td>${HyperliquidAPI.getDisplayName(order.coin)}</td>
+                    <td class="${isBuy ? 'text-success' : 'text-danger'}">${i18n.t(isBuy ? 'buy' : 'sell')}</td>
+                    <td>$${HyperliquidAPI.formatPrice(price, order.coin)}</td>
+                    <td>${HyperliquidAPI.formatSize(size, order.coin)}</td>
+                    <td>${distance === null ? '-' : `${distance >= 0 ? '+' : ''}${distance.toFixed(2)}%`}</td>
+                    <td>$${HyperliquidAPI.formatNumber(notional)}</td>
+                </tr>
+            `;
+        }).join('');
+
+    container.innerHTML = `
+        <div class="pnl-summary-card">
+            <div class="pnl-summary-header">
+                <h3>📋 ${i18n.t('openOrders')}</h3>
+                <span class="wallet-address">${orders.length}</span>
+            </div>
+
+            ${rowsHTML ? `
+            <table class="fills-table">
+                <thead>
+                    <tr>
+                        <th>${i18n.t('market')}</th>
+                        <th>${i18n.t('type')}</th>
+                        <th>${i18n.t('price')}</th>
+                        <th>${i18n.t('size')}</th>
+                        <th>${i18n.t('distanceFromMark')}</th>
+                        <th>${i18n.t('notional')}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rowsHTML}
+                </tbody>
+            </table>
+            <div class="pnl-reconciliation">
+                ${i18n.t('bidNotional')}: $${HyperliquidAPI.formatNumber(bidNotional)}
+                · ${i18n.t('askNotional')}: $${HyperliquidAPI.formatNumber(askNotional)}
+            </div>
+            ` : `
+            <p class="text-secondary">${i18n.t('noOpenOrders')}</p>
+            `}
+        </div>
+    `;
+}
+
 /**
  * Render user fills table with PNL summary
  */
@@ -425,7 +910,7 @@ function renderUserFills() {
     }
 
     const pnl = state.pnlData;
-    const totalPnl = pnl.totalRealizedPnl;
+    const totalPnl = pnl.totalNetPnl;
     const isProfitable = totalPnl >= 0;
 
     // Group and sort by time (most recent first)
@@ -433,37 +918,101 @@ function renderUserFills() {
 
     // Build PNL by asset summary
     const pnlByAssetHTML = Object.entries(pnl.byAsset)
-        .filter(([_, data]) => data.trades > 0)
-        .sort((a, b) => b[1].realizedPnl - a[1].realizedPnl)
+        .filter(([_, data]) => data.trades > 0 || data.funding !== 0)
+        .sort((a, b) => b[1].netPnl - a[1].netPnl)
         .map(([asset, data]) => {
-            const symbol = asset.replace('xyz:', '');
-            const isProfit = data.realizedPnl >= 0;
+            const symbol = HyperliquidAPI.getDisplayName(asset);
+            const isProfit = data.netPnl >= 0;
+            const position = data.position === 0 ? '' :
+                ` · ${data.position > 0 ? 'Long' : 'Short'} ${HyperliquidAPI.formatSize(Math.abs(data.position), asset)}`;
             return `
                 <div class="pnl-asset-item">
                     <span class="pnl-asset-name">${symbol}</span>
                     <span class="pnl-asset-value ${isProfit ? 'text-success' : 'text-danger'}">
-                        ${isProfit ? '+' : ''}$${data.realizedPnl.toFixed(2)}
+                        ${formatSignedUsd(data.netPnl)}
                     </span>
-                    <span class="pnl-asset-trades text-secondary">${data.trades} trades</span>
+                    <span class="pnl-asset-trades text-secondary">${data.trades} trades${position}</span>
                 </div>
             `;
         }).join('');
 
+    // Build per-asset funding ledger
+    const fundingRowsHTML = Object.entries(pnl.byAsset)
+        .filter(([_, data]) => data.fundingLedger.payments > 0)
+        .sort((a, b) => a[1].funding - b[1].funding)
+        .map(([asset, data]) => {
+            const ledger = data.fundingLedger;
+            return `
+                <tr>
+                    <td>${HyperliquidAPI.getDisplayName(asset)}</td>
+                    <td>${ledger.payments}</td>
+                    <td class="text-success">${formatSignedUsd(ledger.received)}</td>
+                    <td class="text-danger">${formatSignedUsd(ledger.paid)}</td>
+                    <td class="${ledger.total >= 0 ? 'text-success' : 'text-danger'}">${formatSignedUsd(ledger.total)}</td>
+                    <td>${HyperliquidAPI.formatFundingRate(ledger.avgRate)}</td>
+                    <td>${HyperliquidAPI.formatDate(ledger.lastTime)} ${HyperliquidAPI.formatTime(ledger.lastTime)}</td>
+                </tr>
+            `;
+        }).join('');
+
+    // Compare DEXes side by side when several are tracked
+    const dexRowsHTML = Object.keys(pnl.byDex).length < 2 ? '' : Object.entries(pnl.byDex)
+        .sort((a, b) => b[1].netPnl - a[1].netPnl)
+        .map(([dex, data]) => `
+                <tr>
+                    <td><span class="dex-tag">${dex}</span></td>
+                    <td class="${data.netPnl >= 0 ? 'text-success' : 'text-danger'}">${formatSignedUsd(data.netPnl)}</td>
+                    <td>${formatSignedUsd(data.realizedPnl)}</td>
+                    <td>${formatSignedUsd(data.funding)}</td>
+                    <td>-$${HyperliquidAPI.formatNumber(data.fees)}</td>
+                    <td>$${HyperliquidAPI.formatNumber(data.volume)}</td>
+                    <td>${data.trades}</td>
+                </tr>
+            `).join('');
+
+    const methodOptions = PnlEngine.COST_BASIS_METHODS.map(method => `
+        <option value="${method}" ${method === pnl.method ? 'selected' : ''}>${i18n.t('costBasis_' + method)}</option>
+    `).join('');
+
+    const { reconciliation } = pnl;
+    const reconciled = Math.abs(reconciliation.difference) < 0.01;
+
     container.innerHTML = `
         <!-- PNL Summary Card -->
         <div class="pnl-summary-card">
             <div class="pnl-summary-header">
                 <h3>📊 Performance HIP-3</h3>
-                <span class="wallet-address">${HyperliquidAPI.truncateAddress(state.walletAddress)}</span>
+                <div class="pnl-summary-controls">
+                    <select id="pnlMethodSelect" class="pnl-method-select" title="${i18n.t('costBasis')}">
+                        ${methodOptions}
+                    </select>
+                    <span class="wallet-address">${HyperliquidAPI.truncateAddress(state.walletAddress)}</span>
+                </div>
             </div>
             
             <div class="pnl-stats-grid">
                 <div class="pnl-stat-item pnl-main">
-                    <div class="pnl-stat-label">PNL Réalisé</div>
+                    <div class="pnl-stat-label">PNL Net</div>
                     <div class="pnl-stat-value ${isProfitable ? 'text-success' : 'text-danger'}">
-                        ${isProfitable ? '+' : ''}$${totalPnl.toFixed(2)}
+                        ${formatSignedUsd(totalPnl)}
+                    </div>
+                </div>
+                <div class="pnl-stat-item">
+                    <div class="pnl-stat-label">PNL Réalisé</div>
+                    <div class="pnl-stat-value ${pnl.totalRealizedPnl >= 0 ? 'text-success' : 'text-danger'}">
+                        ${formatSignedUsd(pnl.totalRealizedPnl)}
+                    </div>
+                </div>
+                <div class="pnl-stat-item">
+                    <div class="pnl-stat-label">Funding</div>
+                    <div class="pnl-stat-value ${pnl.totalFunding >= 0 ? 'text-success' : 'text-danger'}">
+                        ${formatSignedUsd(pnl.totalFunding)}
                     </div>
                 </div>
+                <div class="pnl-stat-item">
+                    <div class="pnl-stat-label">Frais</div>
+                    <div class="pnl-stat-value text-danger">-$${HyperliquidAPI.formatNumber(pnl.totalFees)}</div>
+                </div>
                 <div class="pnl-stat-item">
                     <div class="pnl-stat-label">Volume Total</div>
                     <div class="pnl-stat-value">$${HyperliquidAPI.formatNumber(pnl.totalVolume)}</div>
@@ -477,7 +1026,35 @@ function renderUserFills() {
                     <div class="pnl-stat-value">${Object.keys(pnl.byAsset).length}</div>
                 </div>
             </div>
+
+            <div class="pnl-reconciliation ${reconciled ? '' : 'mismatch'}">
+                ${i18n.t('exchangeClosedPnl')}: ${formatSignedUsd(reconciliation.exchangeClosedPnl)}
+                · ${i18n.t('difference')}: ${formatSignedUsd(reconciliation.difference)}
+                ${reconciliation.gaps > 0 ? ` · ⚠️ ${reconciliation.gaps} ${i18n.t('historyGaps')}` : ''}
+            </div>
             
+            ${dexRowsHTML ? `
+            <div class="pnl-by-asset">
+                <h4>${i18n.t('pnlByDex')}</h4>
+                <table class="fills-table">
+                    <thead>
+                        <tr>
+                            <th>DEX</th>
+                            <th>Net</th>
+                            <th>${i18n.t('realizedPnl')}</th>
+                            <th>Funding</th>
+                            <th>${i18n.t('fees')}</th>
+                            <th>${i18n.t('totalVolume')}</th>
+                            <th>${i18n.t('numTrades')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${dexRowsHTML}
+                    </tbody>
+                </table>
+            </div>
+            ` : ''}
+
             ${pnlByAssetHTML ? `
             <div class="pnl-by-asset">
                 <h4>PNL par Actif</h4>
@@ -486,6 +1063,28 @@ function renderUserFills() {
                 </div>
             </div>
             ` : ''}
+
+            ${fundingRowsHTML ? `
+            <div class="pnl-by-asset">
+                <h4>${i18n.t('fundingLedger')}</h4>
+                <table class="fills-table">
+                    <thead>
+                        <tr>
+                            <th>Actif</th>
+                            <th>${i18n.t('fundingPayments')}</th>
+                            <th>${i18n.t('fundingReceived')}</th>
+                            <th>${i18n.t('fundingPaid')}</th>
+                            <th>Net</th>
+                            <th>${i18n.t('fundingAvgRate')}</th>
+                            <th>${i18n.t('fundingLast')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${fundingRowsHTML}
+                    </tbody>
+                </table>
+            </div>
+            ` : ''}
         </div>
         
         <!-- Transactions Table -->
@@ -510,47 +1109,473 @@ function renderUserFills() {
     sorted.slice(0, 50).forEach(fill => {
         tbody.appendChild(Components.createFillRow(fill));
     });
+
+    // Recompute with another cost-basis method
+    const methodSelect = document.getElementById('pnlMethodSelect');
+    if (methodSelect) {
+        methodSelect.addEventListener('change', (e) => {
+            state.pnlMethod = e.target.value;
+            localStorage.setItem('pnlMethod', state.pnlMethod);
+            recalculateWalletPnl();
+            renderUserFills();
+        });
+    }
+}
+
+/**
+ * Format a USD amount with an explicit sign (+$12.50 / -$3.20)
+ */
+function formatSignedUsd(value) {
+    const sign = value >= 0 ? '+' : '-';
+    return `${sign}$${Math.abs(value).toFixed(2)}`;
+}
+
+/**
+ * Rebuild the PNL book from the full fill and funding history
+ */
+function recalculateWalletPnl() {
+    state.pnlBook = HyperliquidAPI.createTrackedPnlBook(state.userFills, state.pnlMethod, state.userFunding);
+    state.pnlData = HyperliquidAPI.summarizePnlBook(state.pnlBook);
 }
 
 // ============================================
-// HIP-3 ANALYTICS FUNCTIONS
+// WALLET WATCH
 // ============================================
 
+// User channels followed while a wallet is watched
+const WALLET_WATCH_CHANNELS = ['userFills', 'userFundings', 'orderUpdates', 'userEvents'];
+
+// Positions and margin are re-fetched once fills stop arriving for this long
+const WALLET_ACCOUNT_REFRESH_DELAY = 2000;
+let walletAccountRefreshTimer = null;
+
 /**
- * Load HIP-3 analytics data from API
+ * Start or stop watching the wallet in the lookup field
+ * A wallet that was not looked up yet is loaded first, so live fills extend its history
  */
-async function loadHip3Analytics() {
-    try {
-        const metaAndCtxs = await HyperliquidAPI.getMetaAndAssetCtxs();
-        state.hip3Data = HyperliquidAPI.processHip3Analytics(metaAndCtxs);
-
-        // Update UI
-        updateHip3Stats();
-        renderHip3Table();
+async function toggleWalletWatch() {
+    if (walletWatch) {
+        stopWalletWatch();
+        Components.showToast(i18n.t('walletWatchStopped'), 'info');
+        return;
+    }
 
-        // Update last update time
-        const updateEl = document.getElementById('hip3LastUpdate');
-        if (updateEl) {
-            updateEl.textContent = `Updated: ${new Date().toLocaleTimeString()}`;
-        }
+    const input = document.getElementById('walletInput');
+    const address = input ? input.value.trim() : '';
+    if (!HyperliquidAPI.isValidAddress(address)) {
+        Components.showToast(i18n.t('invalidWallet'), 'error');
+        return;
+    }
 
-        console.log(`Loaded ${state.hip3Data.length} HIP-3 markets`);
-    } catch (error) {
-        console.error('Failed to load HIP-3 analytics:', error);
-        Components.showToast('Error loading HIP-3 data', 'error');
+    if (address.toLowerCase() !== state.walletAddress.toLowerCase() || !state.accountStates) {
+        await lookupWallet(address);
+        // The lookup failed or another wallet was searched meanwhile
+        if (!state.accountStates || state.walletAddress !== address) return;
     }
+
+    startWalletWatch(address);
+    Components.showToast(`${i18n.t('walletWatchStarted')} ${HyperliquidAPI.truncateAddress(address)}`, 'success');
 }
 
 /**
- * Update HIP-3 summary stats
+ * Subscribe to a wallet's fills, funding, order updates and account events
  */
-function updateHip3Stats() {
-    const data = state.hip3Data;
-    if (!data || data.length === 0) return;
+function startWalletWatch(address) {
+    stopWalletWatch();
+
+    const user = address.toLowerCase();
+    const isWatched = data => Boolean(data && data.user && data.user.toLowerCase() === user);
+    const subscriptions = WALLET_WATCH_CHANNELS.map(type => ({ type, user }));
+    subscriptions.forEach(subscription => wsManager.subscribe(subscription));
+
+    walletWatch = {
+        address,
+        subscriptions,
+        knownFills: new Set(state.userFills.map(FillHistory.getFillKey)),
+        knownFundings: new Set(state.userFunding.map(entry => `${entry.time}:${entry.delta.coin}`)),
+        listeners: [
+            // Snapshots (sent on every subscribe, reconnects included) only fill gaps, silently
+            wsManager.on('userFills', isWatched, data => handleWatchedFills(data.fills || [], !data.isSnapshot)),
+            wsManager.on('userFundings', isWatched, data => handleWatchedFundings(data.fundings || [])),
+            wsManager.on('orderUpdates', handleWatchedOrderUpdates),
+            // userEvents arrive on the "user" channel
+            wsManager.on('user', handleWatchedUserEvent)
+        ]
+    };
 
-    // Calculate totals
-    const totalVolume = data.reduce((sum, m) => sum + (m.volume24h || 0), 0);
-    const totalOI = data.reduce((sum, m) => sum + (m.openInterestUsd || 0), 0);
+    renderWalletWatchButton();
+}
+
+function stopWalletWatch() {
+    if (!walletWatch) return;
+
+    walletWatch.listeners.forEach(dispose => dispose());
+    walletWatch.subscriptions.forEach(subscription => wsManager.unsubscribe(subscription));
+    walletWatch = null;
+
+    renderWalletWatchButton();
+}
+
+function renderWalletWatchButton() {
+    const btn = document.getElementById('walletWatchBtn');
+    if (!btn) return;
+
+    btn.classList.toggle('is-watching', Boolean(walletWatch));
+    const label = btn.querySelector('[data-i18n]');
+    if (label) {
+        label.dataset.i18n = walletWatch ? 'walletWatching' : 'walletWatch';
+        label.textContent = i18n.t(label.dataset.i18n);
+    }
+}
+
+/**
+ * Add new HIP-3 fills to the history and the PNL book, then redraw the wallet
+ */
+function handleWatchedFills(fills, notify) {
+    const fresh = PnlEngine.sortFills(fills).filter(fill => {
+        if (!HyperliquidAPI.getCoinDex(fill.coin)) return false;
+        const key = FillHistory.getFillKey(fill);
+        if (walletWatch.knownFills.has(key)) return false;
+        walletWatch.knownFills.add(key);
+        return true;
+    });
+    if (fresh.length === 0) return;
+
+    const lastTime = state.userFills.reduce((max, fill) => Math.max(max, fill.time), 0);
+    fresh.forEach(insertUserFill);
+
+    // The book only takes fills in time order; an older fill means replaying everything
+    if (state.pnlBook && fresh[0].time >= lastTime) {
+        fresh.forEach(fill => HyperliquidAPI.applyTrackedFill(state.pnlBook, fill));
+        state.pnlData = HyperliquidAPI.summarizePnlBook(state.pnlBook);
+    } else {
+        recalculateWalletPnl();
+    }
+
+    renderUserFills();
+    scheduleWalletAccountRefresh();
+
+    if (notify) {
+        notifyWatchedFills(fresh);
+    }
+}
+
+/**
+ * Insert a fill into state.userFills, keeping it in time order
+ * Live fills are usually the newest, so the search starts from the end
+ */
+function insertUserFill(fill) {
+    let index = state.userFills.length;
+    while (index > 0 && state.userFills[index - 1].time > fill.time) {
+        index--;
+    }
+    state.userFills.splice(index, 0, fill);
+}
+
+/**
+ * One toast per market and side, with the total size and average price
+ */
+function notifyWatchedFills(fills) {
+    const groups = new Map();
+    fills.filter(fill => HyperliquidAPI.isTrackedCoin(fill.coin)).forEach(fill => {
+        const key = `${fill.coin}:${fill.side}`;
+        const group = groups.get(key) || { coin: fill.coin, side: fill.side, dir: fill.dir, size: 0, notional: 0 };
+        group.size += parseFloat(fill.sz);
+        group.notional += parseFloat(fill.sz) * parseFloat(fill.px);
+        groups.set(key, group);
+    });
+
+    groups.forEach(group => {
+        const action = group.dir || (group.side === 'B' ? i18n.t('buy') : i18n.t('sell'));
+        const price = HyperliquidAPI.formatPrice(group.notional / group.size, group.coin);
+        Components.showToast(
+            `${HyperliquidAPI.truncateAddress(walletWatch.address)} · ${action} ` +
+            `${HyperliquidAPI.formatSize(group.size, group.coin)} ${HyperliquidAPI.getDisplayName(group.coin)} @ $${price}`,
+            'info'
+        );
+    });
+}
+
+/**
+ * Funding arrives flat on the socket; it is stored in the userFunding REST shape
+ */
+function handleWatchedFundings(fundings) {
+    const fresh = fundings
+        .filter(funding => HyperliquidAPI.getCoinDex(funding.coin))
+        .filter(funding => {
+            const key = `${funding.time}:${funding.coin}`;
+            if (walletWatch.knownFundings.has(key)) return false;
+            walletWatch.knownFundings.add(key);
+            return true;
+        })
+        .map(funding => ({
+            time: funding.time,
+            delta: {
+                type: 'funding',
+                coin: funding.coin,
+                usdc: funding.usdc,
+                szi: funding.szi,
+                fundingRate: funding.fundingRate
+            }
+        }));
+    if (fresh.length === 0) return;
+
+    state.userFunding.push(...fresh);
+    if (state.pnlBook) {
+        fresh.forEach(entry => HyperliquidAPI.applyTrackedFunding(state.pnlBook, entry));
+        state.pnlData = HyperliquidAPI.summarizePnlBook(state.pnlBook);
+    } else {
+        recalculateWalletPnl();
+    }
+    renderUserFills();
+}
+
+/**
+ * Keep the open orders list current: resting orders are added or replaced, closed ones removed
+ */
+function handleWatchedOrderUpdates(updates) {
+    (Array.isArray(updates) ? updates : [updates]).forEach(({ order, status }) => {
+        if (!order || !HyperliquidAPI.getCoinDex(order.coin)) return;
+        state.openOrders = state.openOrders.filter(open => open.oid !== order.oid);
+        if (status === 'open') {
+            state.openOrders.push(order);
+        }
+    });
+    renderOpenOrders();
+}
+
+/**
+ * Account events: only liquidations need handling here, fills come through userFills
+ */
+function handleWatchedUserEvent(event) {
+    const liquidation = event && event.liquidation;
+    if (!liquidation) return;
+
+    const user = (liquidation.liquidated_user || '').toLowerCase();
+    if (user && user !== walletWatch.address.toLowerCase()) return;
+
+    Components.showToast(
+        `${HyperliquidAPI.truncateAddress(walletWatch.address)} · ${i18n.t('walletLiquidated')} ` +
+        `($${HyperliquidAPI.formatNumber(Math.abs(parseFloat(liquidation.liquidated_ntl_pos || 0)))})`,
+        'error'
+    );
+    scheduleWalletAccountRefresh();
+}
+
+/**
+ * Re-fetch positions after a burst of fills, once
+ */
+function scheduleWalletAccountRefresh() {
+    clearTimeout(walletAccountRefreshTimer);
+    walletAccountRefreshTimer = setTimeout(() => {
+        if (!StreamRecorder.isReplaying()) refreshWalletAccount();
+    }, WALLET_ACCOUNT_REFRESH_DELAY);
+}
+
+// ============================================
+// SESSION RECORDING & REPLAY
+// ============================================
+
+// Speed control of the running replay (null when idle)
+let replayController = null;
+let recordCountTimer = null;
+
+function setupStreamControls() {
+    const recordBtn = document.getElementById('streamRecordBtn');
+    const replayBtn = document.getElementById('streamReplayBtn');
+    const fileInput = document.getElementById('streamReplayFile');
+    const speedSelect = document.getElementById('streamReplaySpeed');
+
+    if (recordBtn) {
+        recordBtn.addEventListener('click', toggleStreamRecording);
+    }
+
+    if (replayBtn && fileInput) {
+        replayBtn.addEventListener('click', () => {
+            if (StreamRecorder.isReplaying()) {
+                StreamRecorder.stopReplay();
+            } else {
+                fileInput.click();
+            }
+        });
+
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            // Reset so choosing the same file again still fires change
+            fileInput.value = '';
+            if (file) {
+                startStreamReplay(await file.text());
+            }
+        });
+    }
+
+    if (speedSelect) {
+        speedSelect.addEventListener('change', () => {
+            if (replayController) replayController.setSpeed(speedSelect.value);
+        });
+    }
+}
+
+/**
+ * Start recording, or stop and download what was captured
+ */
+function toggleStreamRecording() {
+    if (!StreamRecorder.isRecording()) {
+        StreamRecorder.start();
+        recordCountTimer = setInterval(renderStreamControls, 1000);
+        renderStreamControls();
+        Components.showToast(i18n.t('recordingStarted'), 'info');
+        return;
+    }
+
+    const finished = StreamRecorder.stop();
+    clearInterval(recordCountTimer);
+    recordCountTimer = null;
+    renderStreamControls();
+
+    if (finished.lines.length === 0) {
+        Components.showToast(i18n.t('recordingEmpty'), 'info');
+        return;
+    }
+
+    StreamRecorder.download(finished);
+    Components.showToast(`${finished.lines.length.toLocaleString()} ${i18n.t('recordingSaved')}`, 'success');
+    if (finished.truncated) {
+        Components.showToast(i18n.t('recordingTruncated'), 'info');
+    }
+}
+
+/**
+ * Replay a recorded NDJSON session through the live handlers
+ */
+function startStreamReplay(text) {
+    let parsed;
+    try {
+        parsed = StreamRecorder.parse(text);
+    } catch (error) {
+        console.error('Failed to parse session recording:', error);
+        Components.showToast(i18n.t('replayInvalidFile'), 'error');
+        return;
+    }
+
+    const speedSelect = document.getElementById('streamReplaySpeed');
+    const connectionText = document.getElementById('connectionText');
+
+    // The feed shows only recorded trades while replaying
+    clearTradeFeed();
+
+    replayController = StreamRecorder.replay(parsed.frames, {
+        speed: speedSelect ? speedSelect.value : '1x',
+        onProgress: ({ index, total }) => {
+            if (connectionText) {
+                connectionText.textContent = `${i18n.t('replaying')} ${Math.floor(index / total * 100)}%`;
+            }
+        },
+        onEnd: ({ completed }) => {
+            replayController = null;
+            renderStreamControls();
+            Components.updateConnectionStatus(wsManager.getStatus());
+            Components.showToast(i18n.t(completed ? 'replayFinished' : 'replayStopped'), 'info');
+            restoreLiveState();
+        }
+    });
+
+    renderStreamControls();
+    Components.showToast(`${i18n.t('replayStarted')} ${parsed.frames.length.toLocaleString()}`, 'info');
+}
+
+function clearTradeFeed() {
+    state.trades = [];
+    state.uniqueTraders.clear();
+    renderTradesFeed();
+}
+
+/**
+ * Drop the replayed state and reload it live
+ * The reconnect resync refills the trade feed once the socket is back
+ */
+async function restoreLiveState() {
+    clearTradeFeed();
+
+    try {
+        applyPrices(await HyperliquidAPI.getTrackedMids());
+    } catch (error) {
+        console.error('Price reload after replay failed:', error);
+    }
+
+    if (state.walletAddress) {
+        await lookupWallet(state.walletAddress);
+    }
+}
+
+function renderStreamControls() {
+    const recordBtn = document.getElementById('streamRecordBtn');
+    const count = document.getElementById('streamRecordCount');
+    const replayBtn = document.getElementById('streamReplayBtn');
+    const capturing = StreamRecorder.isRecording();
+
+    if (recordBtn) recordBtn.classList.toggle('is-recording', capturing);
+    if (count) count.textContent = capturing ? StreamRecorder.getFrameCount().toLocaleString() : '';
+    if (replayBtn) {
+        replayBtn.classList.toggle('is-replaying', StreamRecorder.isReplaying());
+        replayBtn.textContent = StreamRecorder.isReplaying() ? '■' : '▶';
+    }
+}
+
+// ============================================
+// HIP-3 ANALYTICS FUNCTIONS
+// ============================================
+
+/**
+ * Load HIP-3 analytics data from API
+ * The first load may render cached data; refreshes always go to the network
+ */
+async function loadHip3Analytics(options = {}) {
+    try {
+        // Predictions are optional: without them every market is estimated from its premium
+        const [byDex, predictedFundings] = await Promise.all([
+            HyperliquidAPI.requestTrackedDexes(dex => HyperliquidAPI.getMetaAndAssetCtxs(dex, options)),
+            HyperliquidAPI.getPredictedFundings().catch(error => {
+                console.warn('Predicted fundings unavailable:', error);
+                return null;
+            })
+        ]);
+        const predicted = HyperliquidAPI.parsePredictedFundings(predictedFundings);
+
+        state.hip3Data = Object.entries(byDex)
+            .flatMap(([dex, metaAndCtxs]) => HyperliquidAPI.processHip3Analytics(metaAndCtxs, dex, predicted))
+            .map(withFundingRegime);
+
+        // Update UI
+        updateHip3Stats();
+        renderDexComparison();
+        renderCategoryFilters();
+        renderUnclassifiedNotice();
+        renderHip3Table();
+
+        // Update last update time
+        const updateEl = document.getElementById('hip3LastUpdate');
+        if (updateEl) {
+            updateEl.textContent = `Updated: ${new Date().toLocaleTimeString()}`;
+        }
+
+        console.log(`Loaded ${state.hip3Data.length} HIP-3 markets`);
+    } catch (error) {
+        console.error('Failed to load HIP-3 analytics:', error);
+        Components.showToast('Error loading HIP-3 data', 'error');
+    }
+}
+
+/**
+ * Update HIP-3 summary stats
+ */
+function updateHip3Stats() {
+    const data = state.hip3Data;
+    if (!data || data.length === 0) return;
+
+    // Calculate totals
+    const totalVolume = data.reduce((sum, m) => sum + (m.volume24h || 0), 0);
+    const totalOI = data.reduce((sum, m) => sum + (m.openInterestUsd || 0), 0);
 
     // Find best/worst performers
     const sorted = [...data].sort((a, b) => b.change24h - a.change24h);
@@ -569,6 +1594,59 @@ function updateHip3Stats() {
     if (worstEl) worstEl.textContent = `${worst.name} ${worst.change24hFormatted}`;
 }
 
+/**
+ * Render per-DEX totals so several HIP-3 deployers can be compared
+ */
+function renderDexComparison() {
+    const container = document.getElementById('hip3DexSummary');
+    if (!container) return;
+
+    const byDex = {};
+    state.hip3Data.forEach(market => {
+        const totals = byDex[market.dex] || (byDex[market.dex] = { markets: 0, volume: 0, openInterest: 0, funding: 0 });
+        totals.markets += 1;
+        totals.volume += market.volume24h;
+        totals.openInterest += market.openInterestUsd;
+        totals.funding += market.funding;
+    });
+
+    if (Object.keys(byDex).length < 2) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const rowsHTML = Object.entries(byDex)
+        .sort((a, b) => b[1].volume - a[1].volume)
+        .map(([dex, totals]) => `
+            <tr>
+                <td><span class="dex-tag">${dex}</span></td>
+                <td class="text-right">${totals.markets}</td>
+                <td class="text-right">$${HyperliquidAPI.formatNumber(totals.volume)}</td>
+                <td class="text-right">$${HyperliquidAPI.formatNumber(totals.openInterest)}</td>
+                <td class="text-right">${HyperliquidAPI.formatFundingRate(totals.funding / totals.markets)}</td>
+            </tr>
+        `).join('');
+
+    container.innerHTML = `
+        <div class="hip3-table-container hip3-dex-summary">
+            <table class="hip3-table">
+                <thead>
+                    <tr>
+                        <th>DEX</th>
+                        <th class="text-right">${i18n.t('activeMarkets')}</th>
+                        <th class="text-right">${i18n.t('totalVolume24h')}</th>
+                        <th class="text-right">${i18n.t('totalOpenInterest')}</th>
+                        <th class="text-right">${i18n.t('avgFunding')}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rowsHTML}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
 /**
  * Render HIP-3 analytics table
  */
@@ -582,7 +1660,7 @@ function renderHip3Table() {
     if (filtered.length === 0) {
         tbody.innerHTML = `
             <tr>
-                <td colspan="7" class="hip3-no-data">
+                <td colspan="11" class="hip3-no-data">
                     No markets found matching your criteria
                 </td>
             </tr>
@@ -590,10 +1668,12 @@ function renderHip3Table() {
         return;
     }
 
-    tbody.innerHTML = filtered.map(market => {
+    replaceHip3Rows(tbody, filtered.map(market => {
         const changeClass = market.change24h >= 0 ? 'hip3-positive' : 'hip3-negative';
         const fundingClass = market.funding >= 0 ? 'hip3-positive' : 'hip3-negative';
         const premiumClass = market.premium >= 0 ? 'hip3-positive' : 'hip3-negative';
+        const predictedClass = market.predictedFunding >= 0 ? 'hip3-positive' : 'hip3-negative';
+        const predictedSource = i18n.t(market.predictedFundingSource === 'api' ? 'predictedByApi' : 'predictedFromPremium');
 
         // Funding badge class for extreme values
         let fundingBadgeClass = '';
@@ -608,21 +1688,116 @@ function renderHip3Table() {
                         <div class="hip3-asset-icon ${market.category}">${market.name.slice(0, 2)}</div>
                         <div>
                             <div class="hip3-asset-name">${market.name}</div>
-                            <div class="hip3-asset-category">${market.category}</div>
+                            <div class="hip3-asset-category">
+                                ${dexTag(market.dex)}${renderCategorySelect(market)}
+                            </div>
                         </div>
                     </div>
                 </td>
-                <td class="text-right hip3-price">$${HyperliquidAPI.formatPrice(market.markPrice)}</td>
+                <td class="text-right hip3-price">$${HyperliquidAPI.formatPrice(market.markPrice, market.fullName)}</td>
                 <td class="text-right ${changeClass}">${market.change24hFormatted}</td>
                 <td class="text-right">
                     <span class="${fundingBadgeClass || fundingClass}">${market.fundingFormatted}</span>
                 </td>
+                <td class="text-right ${predictedClass}" title="${predictedSource}">
+                    ${market.predictedFundingSource === 'api' ? '' : '~'}${market.predictedFundingFormatted}
+                </td>
+                <td class="text-right">
+                    <span class="funding-countdown" data-next="${market.nextFundingTime}">
+                        ${formatCountdown(market.nextFundingTime - Date.now())}
+                    </span>
+                </td>
+                <td class="text-right ${predictedClass}">${formatPredictedApr(market.predictedApr)}</td>
                 <td class="text-right">${market.openInterestFormatted}</td>
                 <td class="text-right">${market.volume24hFormatted}</td>
                 <td class="text-right ${premiumClass}">${market.premiumFormatted}</td>
+                <td class="text-right">${renderFundingRegime(market)}</td>
             </tr>
         `;
-    }).join('');
+    }).join(''));
+}
+
+/**
+ * Swap in new HIP-3 rows, except the row whose category select has focus:
+ * replacing it would close the dropdown the user has open (refreshes run every 15s)
+ */
+function replaceHip3Rows(tbody, html) {
+    const focused = document.activeElement;
+    const kept = focused && focused.classList.contains('hip3-category-select') && tbody.contains(focused)
+        ? focused.closest('tr')
+        : null;
+
+    const fresh = document.createElement('tbody');
+    fresh.innerHTML = html;
+    const match = kept && [...fresh.children].find(row => row.dataset.asset === kept.dataset.asset);
+
+    if (!match) {
+        tbody.innerHTML = html;
+        return;
+    }
+
+    // The kept row never leaves the DOM; new rows go around it in their sorted place
+    [...tbody.children].forEach(row => {
+        if (row !== kept) row.remove();
+    });
+    let beforeKept = true;
+    [...fresh.children].forEach(row => {
+        if (row === match) {
+            beforeKept = false;
+        } else if (beforeKept) {
+            tbody.insertBefore(row, kept);
+        } else {
+            tbody.appendChild(row);
+        }
+    });
+}
+
+/**
+ * Time left as mm:ss (funding is hourly, so minutes never exceed 59)
+ */
+function formatCountdown(ms) {
+    const seconds = Math.max(0, Math.floor(ms / 1000));
+    return `${String(Math.floor(seconds / 60)).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function formatPredictedApr(apr) {
+    const pct = apr * 100;
+    return `${pct >= 0 ? '+' : ''}${pct.toFixed(2)}%`;
+}
+
+/**
+ * Tick the funding countdowns in place; once a payment time passes the cell
+ * rolls over to the next hour until the next data refresh
+ */
+function startFundingCountdown() {
+    setInterval(() => {
+        const now = Date.now();
+        document.querySelectorAll('.funding-countdown').forEach(el => {
+            let next = parseInt(el.dataset.next, 10);
+            if (next <= now) {
+                next = HyperliquidAPI.getNextFundingTime(now);
+                el.dataset.next = next;
+            }
+            el.textContent = formatCountdown(next - now);
+        });
+    }, 1000);
+}
+
+/**
+ * Category picker for a HIP-3 table row, flagged when the market needs a category
+ */
+function renderCategorySelect(market) {
+    const options = AssetCategories.CATEGORIES.map(category => `
+        <option value="${category.id}" ${category.id === market.category ? 'selected' : ''}>${i18n.t(category.id)}</option>
+    `).join('');
+
+    return `
+        <select class="hip3-category-select" data-asset="${market.fullName}">${options}</select>
+        ${market.needsCategory ? `<span class="needs-category" title="${i18n.t('needsCategory')}">NEW</span>` : ''}
+        ${AssetCategories.isOverridden(market.fullName) ? `
+            <button class="hip3-category-reset" data-asset="${market.fullName}" title="${i18n.t('resetCategory')}">↺</button>
+        ` : ''}
+    `;
 }
 
 /**
@@ -636,12 +1811,22 @@ function filterHip3Data() {
         data = data.filter(m => m.category === state.hip3Category);
     }
 
+    // Filter by predicted funding
+    if (state.hip3FundingFilter === 'longsPay') {
+        data = data.filter(m => m.predictedFunding > 0);
+    } else if (state.hip3FundingFilter === 'shortsPay') {
+        data = data.filter(m => m.predictedFunding < 0);
+    } else if (state.hip3FundingFilter === 'highApr') {
+        data = data.filter(m => Math.abs(m.predictedApr) >= HIGH_FUNDING_APR);
+    }
+
     // Filter by search
     if (state.hip3Search) {
         const query = state.hip3Search.toLowerCase();
         data = data.filter(m =>
             m.name.toLowerCase().includes(query) ||
-            m.category.toLowerCase().includes(query)
+            m.category.toLowerCase().includes(query) ||
+            m.dex.toLowerCase().includes(query)
         );
     }
 
@@ -658,6 +1843,9 @@ function sortHip3Data(data) {
         let aVal = a[column];
         let bVal = b[column];
 
+        // Values still loading (funding regime) sort last
+        if (aVal === null || bVal === null) return (aVal === null) - (bVal === null);
+
         // Handle string comparison
         if (typeof aVal === 'string') {
             aVal = aVal.toLowerCase();
@@ -675,15 +1863,62 @@ function sortHip3Data(data) {
  * Setup HIP-3 event listeners (called from setupEventListeners)
  */
 function setupHip3Listeners() {
-    // Category filters
-    document.querySelectorAll('.hip3-filter-btn').forEach(btn => {
-        btn.addEventListener('click', (e) => {
+    // Category filters (re-rendered as categories change, so listen on the container)
+    const filterGroup = document.getElementById('hip3CategoryFilters');
+    if (filterGroup) {
+        filterGroup.addEventListener('click', (e) => {
+            const btn = e.target.closest('.hip3-filter-btn');
+            if (!btn) return;
             document.querySelectorAll('.hip3-filter-btn').forEach(b => b.classList.remove('active'));
-            e.target.classList.add('active');
-            state.hip3Category = e.target.dataset.hip3Category;
+            btn.classList.add('active');
+            state.hip3Category = btn.dataset.hip3Category;
             renderHip3Table();
         });
-    });
+    }
+
+    // Category overrides from the table
+    const tbody = document.getElementById('hip3TableBody');
+    if (tbody) {
+        tbody.addEventListener('change', (e) => {
+            if (!e.target.classList.contains('hip3-category-select')) return;
+            // Drop focus so the re-render below updates this row too
+            e.target.blur();
+            AssetCategories.setOverride(e.target.dataset.asset, e.target.value);
+            applyCategoryChange();
+        });
+
+        tbody.addEventListener('click', (e) => {
+            const reset = e.target.closest('.hip3-category-reset');
+            if (reset) {
+                AssetCategories.clearOverride(reset.dataset.asset);
+                applyCategoryChange();
+                return;
+            }
+
+            // The funding regime opens the market in the funding tab
+            const regime = e.target.closest('.funding-regime');
+            if (regime) {
+                switchTab('funding');
+                FundingView.open(regime.dataset.asset);
+                return;
+            }
+
+            // Open the market detail panel, except when picking a category
+            const row = e.target.closest('tr[data-asset]');
+            if (row && !e.target.closest('.hip3-category-select')) {
+                Components.showMarketDetail(row.dataset.asset);
+            }
+        });
+    }
+
+    // Predicted funding filter
+    const fundingFilter = document.getElementById('hip3FundingFilter');
+    if (fundingFilter) {
+        fundingFilter.addEventListener('change', (e) => {
+            state.hip3FundingFilter = e.target.value;
+            renderHip3Table();
+        });
+    }
 
     // Search input
     const searchInput = document.getElementById('hip3Search');
@@ -716,12 +1951,530 @@ function setupHip3Listeners() {
     });
 }
 
+/**
+ * Attach the 7d funding average and regime to a HIP-3 row (null until loaded)
+ */
+function withFundingRegime(market) {
+    const averages = state.fundingAverages[market.fullName];
+    const apr = averages ? averages['7d'].apr : null;
+    return { ...market, funding7dApr: apr, fundingRegime: FundingAnalytics.getRegime(apr) };
+}
+
+function renderFundingRegime(market) {
+    if (!market.fundingRegime) return '<span class="text-secondary">—</span>';
+
+    const apr = market.funding7dApr * 100;
+    return `
+        <span class="funding-regime ${market.fundingRegime}" data-asset="${market.fullName}"
+            title="${i18n.t('average')} 7d: ${apr >= 0 ? '+' : ''}${apr.toFixed(2)}% APR">
+            ${i18n.t(market.fundingRegime)} · ${apr >= 0 ? '+' : ''}${apr.toFixed(1)}%
+        </span>
+    `;
+}
+
+/**
+ * Load 7 days of funding for every tracked market and refresh the regime column
+ */
+async function loadFundingRegimes() {
+    const coins = HyperliquidAPI.getAllMarkets();
+    const startTime = Date.now() - FundingAnalytics.FUNDING_WINDOWS['7d'];
+
+    const results = await Promise.allSettled(
+        coins.map(coin => FundingAnalytics.loadHistory(coin, startTime, { priority: 'low' }))
+    );
+
+    results.forEach((result, i) => {
+        if (result.status === 'fulfilled') {
+            state.fundingAverages[coins[i]] = FundingAnalytics.getAverages(result.value);
+        } else {
+            console.error(`Failed to load funding for ${coins[i]}:`, result.reason);
+        }
+    });
+
+    state.hip3Data = state.hip3Data.map(withFundingRegime);
+    renderHip3Table();
+}
+
+/**
+ * Start the regime refresh when the HIP-3 tab is first shown
+ */
+let fundingRegimeTimer = null;
+
+function startFundingRegimeRefresh() {
+    if (fundingRegimeTimer) return;
+    loadFundingRegimes();
+    fundingRegimeTimer = setInterval(() => {
+        if (!StreamRecorder.isReplaying()) loadFundingRegimes();
+    }, FUNDING_REGIME_REFRESH_INTERVAL);
+}
+
+// ============================================
+// LIQUIDITY
+// ============================================
+
+/**
+ * Poll the book of every tracked market: impact profiles for the impact table,
+ * and one more snapshot in each market's liquidity history
+ */
+async function refreshLiquidity() {
+    const coins = HyperliquidAPI.getAllMarkets();
+    if (coins.length === 0 || StreamRecorder.isReplaying()) return;
+
+    try {
+        const books = await Liquidity.loadBooks(coins);
+
+        state.impactProfiles = [];
+        books.forEach(book => {
+            const profile = Liquidity.getImpactProfile(book);
+            if (profile) {
+                state.impactProfiles.push({ coin: book.coin, ...profile });
+            }
+            const snapshot = Liquidity.getLiquiditySnapshot(book);
+            if (snapshot) {
+                Liquidity.recordLiquidity(book.coin, snapshot);
+            }
+        });
+
+        renderLiquidityMonitor();
+        renderImpactTable();
+
+        const updateText = `Updated: ${new Date().toLocaleTimeString()}`;
+        ['monitorLastUpdate', 'impactLastUpdate'].forEach(id => {
+            const updateEl = document.getElementById(id);
+            if (updateEl) {
+                updateEl.textContent = updateText;
+            }
+        });
+    } catch (error) {
+        console.error('Failed to refresh liquidity:', error);
+        Components.showToast('Error loading order books', 'error');
+    }
+}
+
+/**
+ * Start the order book polling behind the liquidity tab, on its first show
+ * (a round polls every market, which would hold up other requests at startup)
+ */
+let liquidityRefreshTimer = null;
+
+function startLiquidityRefresh() {
+    if (liquidityRefreshTimer) return;
+    refreshLiquidity();
+    liquidityRefreshTimer = setInterval(refreshLiquidity, LIQUIDITY_REFRESH_INTERVAL);
+}
+
+/**
+ * Liquidity monitor rows: latest snapshot of each market and its change against the last hour
+ */
+function getMonitorRows() {
+    return HyperliquidAPI.getAllMarkets()
+        .map(coin => {
+            const history = Liquidity.getLiquidityHistory(coin);
+            if (history.length === 0) return null;
+            return { coin, history, latest: history[history.length - 1], change: Liquidity.getLiquidityChange(coin) };
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Sortable monitor table; markets whose liquidity dropped sharply are highlighted and listed first
+ */
+function renderLiquidityMonitor() {
+    const tbody = document.getElementById('monitorTableBody');
+    if (!tbody) return;
+
+    const { column, direction } = state.monitorSort;
+    const sortValue = row => {
+        switch (column) {
+            case 'name': return HyperliquidAPI.getSymbol(row.coin).toLowerCase();
+            case 'spreadBps': return row.latest.spreadBps;
+            case 'topOfBook': return Math.min(row.latest.topBidUsd, row.latest.topAskUsd);
+            case 'depth1': return row.latest.depth[1].usd;
+            case 'depth2': return row.latest.depth[2].usd;
+            case 'change': return row.change ? row.change.depthRatio : null;
+            default: return null;
+        }
+    };
+
+    const rows = getMonitorRows().sort((a, b) => {
+        const aDropped = Boolean(a.change && a.change.dropped);
+        const bDropped = Boolean(b.change && b.change.dropped);
+        if (aDropped !== bDropped) return bDropped - aDropped;
+
+        const aVal = sortValue(a);
+        const bVal = sortValue(b);
+        if (aVal === null || bVal === null) return (aVal === null) - (bVal === null);
+        if (direction === 'asc') {
+            return aVal > bVal ? 1 : -1;
+        }
+        return aVal < bVal ? 1 : -1;
+    });
+
+    if (rows.length === 0) {
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="7" class="hip3-no-data">${i18n.t('noData')}</td>
+            </tr>
+        `;
+        return;
+    }
+
+    const depthCell = band => `${band.truncated ? '≥ ' : ''}$${HyperliquidAPI.formatNumber(band.usd)}`;
+
+    tbody.innerHTML = rows.map(({ coin, history, latest, change }) => {
+        const dropped = change && change.dropped;
+        let changeCell = '—';
+        if (change && change.depthRatio !== null) {
+            const pct = (change.depthRatio - 1) * 100;
+            changeCell = `<span class="${pct >= 0 ? 'hip3-positive' : 'hip3-negative'}">${pct >= 0 ? '+' : ''}${pct.toFixed(0)}%</span>`;
+        }
+
+        return `
+            <tr data-asset="${coin}" class="${dropped ? 'liquidity-drop' : ''}">
+                <td>
+                    ${dexTag(HyperliquidAPI.getCoinDex(coin))}${HyperliquidAPI.getSymbol(coin)}
+                    ${dropped ? `<span class="liquidity-drop-badge" title="${i18n.t('liquidityDropHint')}">⚠️ ${i18n.t('liquidityDrop')}</span>` : ''}
+                </td>
+                <td class="text-right">${latest.spreadBps.toFixed(1)}</td>
+                <td class="text-right">$${HyperliquidAPI.formatNumber(latest.topBidUsd)} / $${HyperliquidAPI.formatNumber(latest.topAskUsd)}</td>
+                <td class="text-right">${depthCell(latest.depth[1])}</td>
+                <td class="text-right">${depthCell(latest.depth[2])}</td>
+                <td class="text-right">${changeCell}</td>
+                <td class="text-right">${renderDepthSparkline(history)}</td>
+            </tr>
+        `;
+    }).join('');
+}
+
+/**
+ * Inline SVG trend of ±1% depth over the kept history
+ */
+function renderDepthSparkline(history) {
+    if (history.length < 2) return '';
+
+    const width = 80;
+    const height = 20;
+    const values = history.map(snapshot => snapshot.depth[1].usd);
+    const max = Math.max(...values);
+    const min = Math.min(...values);
+    const range = max - min || 1;
+
+    const points = values.map((value, i) => {
+        const x = (i / (values.length - 1)) * width;
+        const y = height - ((value - min) / range) * height;
+        return `${x.toFixed(1)},${y.toFixed(1)}`;
+    }).join(' ');
+
+    return `
+        <svg class="depth-sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+            <polyline points="${points}" fill="none" stroke="currentColor" stroke-width="1.5" />
+        </svg>
+    `;
+}
+
+/**
+ * Impact table, ranked by the selected column; markets too thin to fill a size sort last
+ */
+function renderImpactTable() {
+    const tbody = document.getElementById('impactTableBody');
+    if (!tbody) return;
+
+    const { column, direction } = state.impactSort;
+    const sortValue = profile => {
+        if (column === 'name') return HyperliquidAPI.getDisplayName(profile.coin).toLowerCase();
+        if (column === 'spreadBps') return profile.spreadBps;
+        return profile.impacts[column].bps;
+    };
+
+    const rows = [...state.impactProfiles].sort((a, b) => {
+        const aVal = sortValue(a);
+        const bVal = sortValue(b);
+        if (aVal === null || bVal === null) return (aVal === null) - (bVal === null);
+        if (direction === 'asc') {
+            return aVal > bVal ? 1 : -1;
+        }
+        return aVal < bVal ? 1 : -1;
+    });
+
+    if (rows.length === 0) {
+        tbody.innerHTML = `
+            <tr>
+                <td colspan="6" class="hip3-no-data">${i18n.t('noData')}</td>
+            </tr>
+        `;
+        return;
+    }
+
+    tbody.innerHTML = rows.map(profile => `
+        <tr data-asset="${profile.coin}">
+            <td>${dexTag(HyperliquidAPI.getCoinDex(profile.coin))}${HyperliquidAPI.getSymbol(profile.coin)}</td>
+            <td class="text-right">${profile.spreadBps.toFixed(1)}</td>
+            ${Liquidity.IMPACT_SIZES.map(size => renderImpactCell(profile.impacts[size])).join('')}
+        </tr>
+    `).join('');
+}
+
+function renderImpactCell(impact) {
+    if (impact.bps === null) {
+        return `<td class="text-right text-secondary" title="${i18n.t('insufficientDepth')}">—</td>`;
+    }
+
+    let levelClass = 'impact-low';
+    if (impact.bps > 25) {
+        levelClass = 'impact-high';
+    } else if (impact.bps > 5) {
+        levelClass = 'impact-medium';
+    }
+
+    const detail = `${i18n.t('buy')} ${impact.buy.slippageBps.toFixed(1)} · ${i18n.t('sell')} ${impact.sell.slippageBps.toFixed(1)}`;
+    return `<td class="text-right ${levelClass}" title="${detail}">${impact.bps.toFixed(1)}</td>`;
+}
+
+/**
+ * Market choices of the estimator, kept in sync with the tracked markets
+ */
+function renderImpactMarketOptions() {
+    const select = document.getElementById('impactMarket');
+    if (!select) return;
+
+    const selected = select.value;
+    select.innerHTML = HyperliquidAPI.getAllMarkets()
+        .sort((a, b) => a.localeCompare(b))
+        .map(coin => `
+            <option value="${coin}" ${coin === selected ? 'selected' : ''}>${HyperliquidAPI.getDisplayName(coin)}</option>
+        `).join('');
+}
+
+/**
+ * Price the order from the estimator form against the current book
+ */
+async function estimateMarketImpact() {
+    const container = document.getElementById('impactResult');
+    const coin = document.getElementById('impactMarket').value;
+    const side = document.getElementById('impactSide').value;
+    const unit = document.getElementById('impactUnit').value;
+    const amount = parseFloat(document.getElementById('impactAmount').value);
+    if (!container || !coin || !(amount > 0)) return;
+
+    Components.showLoading(container);
+
+    try {
+        const book = await HyperliquidAPI.getL2Book(coin);
+        const estimate = Liquidity.estimateImpact(book, side, { [unit]: amount });
+        renderImpactEstimate(coin, estimate);
+    } catch (error) {
+        console.error('Failed to estimate impact:', error);
+        Components.showEmptyState(container, i18n.t('noData'));
+    }
+}
+
+function renderImpactEstimate(coin, estimate) {
+    const container = document.getElementById('impactResult');
+    if (!container) return;
+
+    if (!estimate || estimate.avgPrice === null) {
+        Components.showEmptyState(container, i18n.t('insufficientDepth'));
+        return;
+    }
+
+    const stats = [
+        [i18n.t('avgFillPrice'), `$${HyperliquidAPI.formatPrice(estimate.avgPrice, coin)}`],
+        [i18n.t('slippageVsMid'), `${estimate.slippageBps.toFixed(2)} bps`],
+        [i18n.t('levelsConsumed'), estimate.levelsConsumed],
+        [i18n.t('worstPrice'), `$${HyperliquidAPI.formatPrice(estimate.worstPrice, coin)}`],
+        [i18n.t('size'), HyperliquidAPI.formatSize(estimate.filledSize, coin)],
+        [i18n.t('notional'), `$${HyperliquidAPI.formatNumber(estimate.filledNotional)}`]
+    ];
+
+    const levelRows = estimate.levels.map((level, i) => `
+        <tr>
+            <td>${i + 1}</td>
+            <td>$${HyperliquidAPI.formatPrice(level.px, coin)}</td>
+            <td>${HyperliquidAPI.formatSize(level.sz, coin)}${level.partial ? ' *' : ''}</td>
+            <td>${((level.px - estimate.mid) / estimate.mid * 10000).toFixed(1)}</td>
+        </tr>
+    `).join('');
+
+    container.innerHTML = `
+        <div class="analytics-stats impact-stats">
+            ${stats.map(([label, value]) => `
+                <div class="analytics-stat">
+                    <div class="analytics-stat-label">${label}</div>
+                    <div class="analytics-stat-value">${value}</div>
+                </div>
+            `).join('')}
+        </div>
+        ${estimate.complete ? '' : `<div class="hip3-unclassified">⚠️ ${i18n.t('partialFillWarning')}</div>`}
+        <table class="fills-table">
+            <thead>
+                <tr>
+                    <th>#</th>
+                    <th>${i18n.t('price')}</th>
+                    <th>${i18n.t('size')}</th>
+                    <th>${i18n.t('distanceFromMid')}</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${levelRows}
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * Setup liquidity tab listeners (called from setupEventListeners)
+ */
+function setupLiquidityListeners() {
+    const form = document.getElementById('impactForm');
+    if (form) {
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            estimateMarketImpact();
+        });
+    }
+
+    const monitorBody = document.getElementById('monitorTableBody');
+    if (monitorBody) {
+        monitorBody.addEventListener('click', (e) => {
+            const row = e.target.closest('tr[data-asset]');
+            if (row) {
+                Components.showMarketDetail(row.dataset.asset);
+            }
+        });
+    }
+
+    // Clicking a market in the table loads it into the estimator
+    const tbody = document.getElementById('impactTableBody');
+    if (tbody) {
+        tbody.addEventListener('click', (e) => {
+            const row = e.target.closest('tr[data-asset]');
+            if (!row) return;
+            document.getElementById('impactMarket').value = row.dataset.asset;
+            estimateMarketImpact();
+        });
+    }
+
+    document.querySelectorAll('.monitor-table th.sortable').forEach(th => {
+        th.addEventListener('click', () => {
+            const column = th.dataset.monitorSort;
+
+            if (state.monitorSort.column === column) {
+                state.monitorSort.direction = state.monitorSort.direction === 'asc' ? 'desc' : 'asc';
+            } else {
+                state.monitorSort.column = column;
+                state.monitorSort.direction = 'desc';
+            }
+
+            document.querySelectorAll('.monitor-table th').forEach(h => h.classList.remove('sorted'));
+            th.classList.add('sorted');
+
+            renderLiquidityMonitor();
+        });
+    });
+
+    document.querySelectorAll('.impact-table th.sortable').forEach(th => {
+        th.addEventListener('click', () => {
+            const column = th.dataset.impactSort;
+
+            // Toggle direction if same column; liquidity ranks best (lowest cost) first
+            if (state.impactSort.column === column) {
+                state.impactSort.direction = state.impactSort.direction === 'asc' ? 'desc' : 'asc';
+            } else {
+                state.impactSort.column = column;
+                state.impactSort.direction = 'asc';
+            }
+
+            document.querySelectorAll('.impact-table th').forEach(h => h.classList.remove('sorted'));
+            th.classList.add('sorted');
+
+            renderImpactTable();
+        });
+    });
+}
+
+// ============================================
+// DEX SELECTION
+// ============================================
+
+/**
+ * Load the perp DEX list and render the selector
+ * Tracked DEXes that no longer exist are dropped
+ */
+async function loadPerpDexs() {
+    try {
+        const dexes = await HyperliquidAPI.getPerpDexs();
+        const names = dexes.map(dex => dex.name);
+        const tracked = HyperliquidAPI.getTrackedDexes().filter(dex => names.includes(dex));
+        HyperliquidAPI.setTrackedDexes(tracked);
+    } catch (error) {
+        console.error('Failed to load perp DEXes:', error);
+    }
+
+    renderDexSelector();
+}
+
+/**
+ * Render one toggle button per perp DEX
+ */
+function renderDexSelector() {
+    const container = document.getElementById('dexSelector');
+    if (!container) return;
+
+    const tracked = HyperliquidAPI.getTrackedDexes();
+    const available = HyperliquidAPI.getAvailableDexes();
+    // Without a DEX list (API error) the tracked DEXes are still shown
+    const dexes = available.length > 0 ? available : tracked.map(name => ({ name }));
+
+    container.innerHTML = `
+        <span class="dex-selector-label" data-i18n="trackedDexes">${i18n.t('trackedDexes')}</span>
+        ${dexes.map(dex => `
+            <button class="dex-btn ${tracked.includes(dex.name) ? 'active' : ''}"
+                data-dex="${dex.name}" title="${dex.fullName || dex.name}">${dex.name}</button>
+        `).join('')}
+    `;
+
+    container.querySelectorAll('.dex-btn').forEach(btn => {
+        btn.addEventListener('click', () => toggleDex(btn.dataset.dex));
+    });
+}
+
+/**
+ * Track or stop tracking a DEX, then reload everything that depends on the selection
+ */
+async function toggleDex(dex) {
+    const tracked = HyperliquidAPI.getTrackedDexes();
+    const next = tracked.includes(dex) ? tracked.filter(name => name !== dex) : [...tracked, dex];
+
+    // At least one DEX stays tracked
+    if (next.length === 0) return;
+
+    HyperliquidAPI.setTrackedDexes(next);
+    renderDexSelector();
+
+    await Promise.all([loadMarketData(), loadHip3Analytics()]);
+
+    // Fill history covers every HIP-3 DEX, so the wallet only needs recomputing
+    if (state.accountStates) {
+        recalculateWalletPnl();
+        renderUserFills();
+        await refreshWalletAccount();
+    }
+}
+
+/**
+ * DEX label shown next to a market while several DEXes are tracked
+ */
+function dexTag(dex) {
+    return HyperliquidAPI.getTrackedDexes().length > 1 ? `<span class="dex-tag">${dex}</span> ` : '';
+}
+
 /**
  * Start HIP-3 data refresh interval
  */
 function startHip3Refresh() {
     setInterval(async () => {
-        await loadHip3Analytics();
+        if (StreamRecorder.isReplaying()) return;
+        await loadHip3Analytics({ cache: 'network-first' });
     }, 15000); // Refresh every 15 seconds
 }
 
@@ -0,0 +1,262 @@
+/**
+ * Response Cache for Hyperliquid info requests
+ * Keyed by data source and request body, TTL per request type, persisted to IndexedDB
+ *
+ * Two read modes:
+ *   'stale-while-revalidate' - serve any cached copy right away, refresh in the background
+ *   'network-first'          - fetch, fall back to the cached copy if the API is unreachable
+ */
+
+const CACHE_DB_NAME = 'tradexyz-tracker';
+const CACHE_DB_VERSION = 2;
+const CACHE_STORE = 'responses';
+
+// Long-lived records that are not HTTP responses (e.g. fill history cursors)
+const RECORD_STORE = 'records';
+
+// Freshness per request type - types not listed here are never cached
+const CACHE_TTL = {
+  meta: 5 * 60 * 1000,
+  perpDexs: 5 * 60 * 1000,
+  metaAndAssetCtxs: 15 * 1000,
+  candleSnapshot: 60 * 1000
+};
+
+// Entries older than this are dropped instead of served stale
+const CACHE_MAX_AGE = 24 * 60 * 60 * 1000;
+
+// In-memory copies kept at most; keys like candle start times change every minute,
+// so without a cap the map grows for as long as the page is open
+const MEMORY_CACHE_LIMIT = 500;
+
+// Where responses come from; the database outlives a transport switch,
+// so entries from fixtures, a custom API and the live exchange must not be mixed
+const CACHE_SOURCE = (() => {
+  const config = Transport.getTransportConfig();
+  return config.mode === 'fixtures' ? `fixtures:${config.fixturesPath}` : config.restUrl;
+})();
+
+const memoryCache = new Map();
+const revalidating = new Set();
+let cacheDbPromise = null;
+
+/**
+ * Open (or create) the IndexedDB database
+ * Resolves to null when IndexedDB is unavailable (private mode, old browsers)
+ */
+function openCacheDb() {
+  if (!cacheDbPromise) {
+    cacheDbPromise = new Promise(resolve => {
+      if (!window.indexedDB) {
+        resolve(null);
+        return;
+      }
+
+      const request = indexedDB.open(CACHE_DB_NAME, CACHE_DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(CACHE_STORE)) {
+          db.createObjectStore(CACHE_STORE);
+        }
+        if (!db.objectStoreNames.contains(RECORD_STORE)) {
+          db.createObjectStore(RECORD_STORE);
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('IndexedDB unavailable, cache is memory-only:', request.error);
+        resolve(null);
+      };
+    });
+  }
+  return cacheDbPromise;
+}
+
+/**
+ * Run a single-request IndexedDB transaction
+ */
+async function withStore(storeName, mode, operation) {
+  const db = await openCacheDb();
+  if (!db) return undefined;
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = operation(tx.objectStore(storeName));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Keep an entry in memory, dropping the least recently stored ones past the limit
+ * (dropped entries are still read back from IndexedDB)
+ */
+function rememberEntry(key, entry) {
+  memoryCache.delete(key);
+  memoryCache.set(key, entry);
+
+  while (memoryCache.size > MEMORY_CACHE_LIMIT) {
+    memoryCache.delete(memoryCache.keys().next().value);
+  }
+}
+
+/**
+ * Read a cache entry ({ data, time }), memory first then IndexedDB
+ */
+async function readEntry(key) {
+  if (memoryCache.has(key)) {
+    return memoryCache.get(key);
+  }
+
+  try {
+    const entry = await withStore(CACHE_STORE, 'readonly', store => store.get(key));
+    if (entry) {
+      rememberEntry(key, entry);
+      return entry;
+    }
+  } catch (error) {
+    console.warn('Cache read failed:', error);
+  }
+  return null;
+}
+
+/**
+ * Write a cache entry to memory and (asynchronously) to IndexedDB
+ */
+function writeEntry(key, data) {
+  const entry = { data, time: Date.now() };
+  rememberEntry(key, entry);
+
+  withStore(CACHE_STORE, 'readwrite', store => store.put(entry, key))
+    .catch(error => console.warn('Cache write failed:', error));
+
+  return entry;
+}
+
+/**
+ * Whether responses for this request body are cached
+ */
+function isCacheable(body) {
+  return body.type in CACHE_TTL;
+}
+
+/**
+ * Refresh an entry in the background; errors only leave the stale copy in place
+ */
+function revalidate(key, fetcher) {
+  if (revalidating.has(key)) return;
+  revalidating.add(key);
+
+  fetcher()
+    .then(data => writeEntry(key, data))
+    .catch(error => console.warn('Background revalidation failed:', error.message))
+    .finally(() => revalidating.delete(key));
+}
+
+/**
+ * Serve an info request through the cache
+ */
+async function cachedRequest(body, fetcher, mode = 'stale-while-revalidate') {
+  const key = `${CACHE_SOURCE}|${JSON.stringify(body)}`;
+  const entry = await readEntry(key);
+  const age = entry ? Date.now() - entry.time : Infinity;
+  const usable = age < CACHE_MAX_AGE;
+
+  if (age < CACHE_TTL[body.type]) {
+    return entry.data;
+  }
+
+  if (usable && mode === 'stale-while-revalidate') {
+    revalidate(key, fetcher);
+    return entry.data;
+  }
+
+  try {
+    const data = await fetcher();
+    writeEntry(key, data);
+    return data;
+  } catch (error) {
+    if (usable) {
+      console.warn(`Serving cached ${body.type} (${Math.round(age / 1000)}s old):`, error.message);
+      return entry.data;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Drop expired entries from IndexedDB (run once at startup)
+ */
+async function pruneCache() {
+  const db = await openCacheDb();
+  if (!db) return;
+
+  const now = Date.now();
+  const request = db.transaction(CACHE_STORE, 'readwrite').objectStore(CACHE_STORE).openCursor();
+
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (!cursor) return;
+    if (now - cursor.value.time >= CACHE_MAX_AGE) {
+      cursor.delete();
+    }
+    cursor.continue();
+  };
+  request.onerror = () => console.warn('Cache prune failed:', request.error);
+}
+
+/**
+ * Read a persisted record (null if missing or IndexedDB is unavailable)
+ */
+async function readRecord(key) {
+  try {
+    return (await withStore(RECORD_STORE, 'readonly', store => store.get(key))) || null;
+  } catch (error) {
+    console.warn('Record read failed:', error);
+    return null;
+  }
+}
+
+/**
+ * Persist a record; failures are logged, never thrown
+ */
+async function writeRecord(key, value) {
+  try {
+    await withStore(RECORD_STORE, 'readwrite', store => store.put(value, key));
+  } catch (error) {
+    console.warn('Record write failed:', error);
+  }
+}
+
+/**
+ * Delete a persisted record
+ */
+async function deleteRecord(key) {
+  try {
+    await withStore(RECORD_STORE, 'readwrite', store => store.delete(key));
+  } catch (error) {
+    console.warn('Record delete failed:', error);
+  }
+}
+
+/**
+ * Clear the whole response cache
+ */
+async function clearCache() {
+  memoryCache.clear();
+  await withStore(CACHE_STORE, 'readwrite', store => store.clear());
+}
+
+pruneCache();
+
+// Export
+window.ResponseCache = {
+  isCacheable,
+  request: cachedRequest,
+  clear: clearCache,
+  readRecord,
+  writeRecord,
+  deleteRecord
+};
@@ -0,0 +1,220 @@
+/**
+ * Asset Classification Registry for trade.xyz Tracker
+ *
+ * Categories come from an explicit symbol -> category map rather than
+ * name matching, so a symbol is only ever classified on purpose. Users can
+ * override any entry from the UI (persisted in localStorage), and symbols
+ * that are in neither the seed map nor the overrides are flagged as needing
+ * a category until someone assigns one.
+ */
+
+// Display order of the categories (tabs, filters, sorting)
+const CATEGORIES = [
+  { id: 'index', icon: '📊' },
+  { id: 'equities', icon: '📈' },
+  { id: 'cryptoEquities', icon: '🪙' },
+  { id: 'etfs', icon: '🧺' },
+  { id: 'commodities', icon: '🏆' },
+  { id: 'forex', icon: '💱' },
+  { id: 'rates', icon: '🏦' },
+  { id: 'other', icon: '❔' }
+];
+
+// Category given to symbols nobody has classified yet
+const UNCLASSIFIED_CATEGORY = 'other';
+
+// Known symbols, keyed without their DEX prefix
+const SEED_CATEGORIES = {
+  // Indices
+  XYZ100: 'index',
+  SPX: 'index',
+  NDX: 'index',
+  DJI: 'index',
+  RUT: 'index',
+  JP225: 'index',
+  KR200: 'index',
+
+  // Equities
+  AAPL: 'equities',
+  AMD: 'equities',
+  AMZN: 'equities',
+  BABA: 'equities',
+  GOOGL: 'equities',
+  HOOD: 'equities',
+  INTC: 'equities',
+  META: 'equities',
+  MSFT: 'equities',
+  MU: 'equities',
+  NFLX: 'equities',
+  NVDA: 'equities',
+  ORCL: 'equities',
+  PLTR: 'equities',
+  RIVN: 'equities',
+  SNDK: 'equities',
+  TSLA: 'equities',
+  TSM: 'equities',
+
+  // Crypto equities
+  BMNR: 'cryptoEquities',
+  COIN: 'cryptoEquities',
+  CRCL: 'cryptoEquities',
+  GLXY: 'cryptoEquities',
+  MSTR: 'cryptoEquities',
+  SBET: 'cryptoEquities',
+
+  // ETFs
+  GLD: 'etfs',
+  QQQ: 'etfs',
+  SLV: 'etfs',
+  SPY: 'etfs',
+  TLT: 'etfs',
+
+  // Commodities
+  CL: 'commodities',
+  COPPER: 'commodities',
+  GOLD: 'commodities',
+  NATGAS: 'commodities',
+  PALLADIUM: 'commodities',
+  PLATINUM: 'commodities',
+  SILVER: 'commodities',
+  URANIUM: 'commodities',
+
+  // Forex
+  AUD: 'forex',
+  CAD: 'forex',
+  CHF: 'forex',
+  CNH: 'forex',
+  EUR: 'forex',
+  GBP: 'forex',
+  JPY: 'forex',
+
+  // Rates
+  US2Y: 'rates',
+  US10Y: 'rates',
+  US30Y: 'rates'
+};
+
+const OVERRIDES_STORAGE_KEY = 'categoryOverrides';
+
+let categoryOverrides = loadCategoryOverrides();
+
+/**
+ * Read user overrides saved in localStorage
+ */
+function loadCategoryOverrides() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(OVERRIDES_STORAGE_KEY));
+    if (saved && typeof saved === 'object') return saved;
+  } catch (e) {
+    // Ignore malformed overrides
+  }
+  return {};
+}
+
+function saveCategoryOverrides() {
+  localStorage.setItem(OVERRIDES_STORAGE_KEY, JSON.stringify(categoryOverrides));
+}
+
+/**
+ * Registry key for a coin ("xyz:TSLA" -> "TSLA")
+ */
+function getRegistryKey(coin) {
+  return coin.slice(coin.indexOf(':') + 1).toUpperCase();
+}
+
+function isKnownCategory(category) {
+  return CATEGORIES.some(c => c.id === category);
+}
+
+/**
+ * Get the category of a coin: user override, then seed map, then unclassified
+ */
+function getCategory(coin) {
+  const key = getRegistryKey(coin);
+  return categoryOverrides[key] || SEED_CATEGORIES[key] || UNCLASSIFIED_CATEGORY;
+}
+
+/**
+ * Whether a coin still needs someone to pick its category
+ */
+function needsCategory(coin) {
+  const key = getRegistryKey(coin);
+  return !categoryOverrides[key] && !SEED_CATEGORIES[key];
+}
+
+/**
+ * Whether the user has overridden a coin's category
+ */
+function isOverridden(coin) {
+  return Boolean(categoryOverrides[getRegistryKey(coin)]);
+}
+
+/**
+ * Assign a category to a coin (applies to the symbol on every DEX)
+ * Overriding back to the seed category just removes the override
+ */
+function setCategoryOverride(coin, category) {
+  if (!isKnownCategory(category)) {
+    throw new Error(`Unknown category: ${category}`);
+  }
+
+  const key = getRegistryKey(coin);
+  if (SEED_CATEGORIES[key] === category) {
+    delete categoryOverrides[key];
+  } else {
+    categoryOverrides[key] = category;
+  }
+  saveCategoryOverrides();
+}
+
+/**
+ * Drop a coin's override so the seed category (if any) applies again
+ */
+function clearCategoryOverride(coin) {
+  delete categoryOverrides[getRegistryKey(coin)];
+  saveCategoryOverrides();
+}
+
+/**
+ * Coins from a list that need a category, de-duplicated by symbol
+ */
+function getUnclassified(coins) {
+  const seen = new Set();
+  return coins.filter(coin => {
+    const key = getRegistryKey(coin);
+    if (seen.has(key) || !needsCategory(coin)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Position of a category in the display order
+ */
+function getCategoryOrder(category) {
+  const index = CATEGORIES.findIndex(c => c.id === category);
+  return index === -1 ? CATEGORIES.length : index;
+}
+
+/**
+ * Label for a category: icon plus translated name
+ */
+function formatCategoryLabel(category) {
+  const entry = CATEGORIES.find(c => c.id === category);
+  const name = window.i18n ? i18n.t(category) : category;
+  return entry ? `${entry.icon} ${name}` : name;
+}
+
+// Export
+window.AssetCategories = {
+  CATEGORIES,
+  UNCLASSIFIED_CATEGORY,
+  getCategory,
+  needsCategory,
+  isOverridden,
+  setOverride: setCategoryOverride,
+  clearOverride: clearCategoryOverride,
+  getUnclassified,
+  getCategoryOrder,
+  getCategoryLabel: formatCategoryLabel
+};
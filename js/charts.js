@@ -7,7 +7,7 @@
 let volumeChart = null;
 let breakdownChart = null;
 
-// Chart colors for different symbols
+// Curated colors for well-known symbols; any other symbol gets a color derived from its name
 const SYMBOL_COLORS = {
     'XYZ100': '#00d4ff',
     'NVDA': '#7c3aed',
@@ -38,88 +38,304 @@ const SYMBOL_COLORS = {
     'Others': '#64748b'
 };
 
-// Get color for a symbol
+const OTHERS_LABEL = 'Others';
+
+/**
+ * 32-bit FNV-1a hash of a string, with a final bit mix
+ */
+function hashSymbol(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    // Final avalanche so symbols differing by one character land far apart
+    hash ^= hash >>> 16;
+    hash = Math.imul(hash, 0x85ebca6b);
+    hash ^= hash >>> 13;
+    return hash >>> 0;
+}
+
+/**
+ * Color of a symbol: its curated color, or a stable hue from its name so
+ * new listings stay distinguishable and keep their color between reloads
+ */
 function getSymbolColor(symbol) {
-    const cleanSymbol = symbol.replace('xyz:', '');
-    return SYMBOL_COLORS[cleanSymbol] || SYMBOL_COLORS['Others'];
+    const cleanSymbol = HyperliquidAPI.getSymbol(symbol);
+    if (SYMBOL_COLORS[cleanSymbol]) return SYMBOL_COLORS[cleanSymbol];
+
+    const hash = hashSymbol(cleanSymbol);
+    const hue = hash % 360;
+    const saturation = 60 + (hash >>> 9) % 20;
+    const lightness = 48 + (hash >>> 17) % 14;
+    return `hsl(${hue}, ${saturation}%, ${lightness}%)`;
 }
 
+// Choices of how many symbols are charted individually; the rest are summed into "Others"
+const VOLUME_TOP_OPTIONS = [5, 9, 15, 25];
+const VOLUME_DEFAULT_TOP = 9;
+
+// Loaded volume data is reused when the same range is shown again within this window
+const VOLUME_REFRESH_AGE = 10 * 60 * 1000;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Range picker: duration back from now (all-time and custom are resolved in getRangeBounds)
+const ANALYTICS_RANGES = {
+    '24h': DAY_MS,
+    '7d': 7 * DAY_MS,
+    '30d': 30 * DAY_MS,
+    '90d': 90 * DAY_MS,
+    'all': null,
+    'custom': null
+};
+
+// Granularity selector: candle interval -> bar width
+const ANALYTICS_GRANULARITIES = {
+    '1h': HOUR_MS,
+    '4h': 4 * HOUR_MS,
+    '1d': DAY_MS,
+    '1w': 7 * DAY_MS
+};
+
+// Finer granularities are disabled when they would draw more bars than this
+const ANALYTICS_MAX_BARS = 1000;
+
+const savedAnalyticsRange = localStorage.getItem('analyticsRange');
+const savedAnalyticsGranularity = localStorage.getItem('analyticsGranularity');
+const savedAnalyticsTopN = parseInt(localStorage.getItem('analyticsTopN'), 10);
+
+const analyticsState = {
+    range: savedAnalyticsRange in ANALYTICS_RANGES ? savedAnalyticsRange : '30d',
+    granularity: savedAnalyticsGranularity in ANALYTICS_GRANULARITIES ? savedAnalyticsGranularity : '1d',
+    customStart: localStorage.getItem('analyticsCustomStart') || '',
+    customEnd: localStorage.getItem('analyticsCustomEnd') || '',
+    topN: VOLUME_TOP_OPTIONS.includes(savedAnalyticsTopN) ? savedAnalyticsTopN : VOLUME_DEFAULT_TOP
+};
+
+// Per-coin volume series per range and granularity: key -> { series, loadedAt }
+const volumeCache = new Map();
+
+// Chart data on screen, so the legend and top-N changes redraw without refetching
+let currentVolumeData = null;
+let currentVolumeSeries = null;
+
+// Labels of series toggled off in the legend
+const hiddenSeries = new Set();
+
+// Only the latest load may render, so fast range changes do not race
+let volumeLoadId = 0;
+
 /**
  * Initialize charts section
  */
 async function initCharts() {
     console.log('Initializing charts...');
 
-    // Generate mock data based on real trades if available
-    const chartData = generateChartData();
+    const markets = HyperliquidAPI.getAllMarkets();
+    if (markets.length === 0) return;
+
+    renderAnalyticsControls();
+
+    const bounds = getRangeBounds();
+    if (!bounds) return;
+
+    const key = `${markets.join(',')}|${analyticsState.granularity}|${bounds.startTime}|${bounds.endTime || 'now'}`;
+    const cached = volumeCache.get(key);
+    const loadId = ++volumeLoadId;
+    let series = cached ? cached.series : null;
+
+    // Ranges ending now go stale; fixed custom ranges never change
+    if (!cached || (!bounds.endTime && Date.now() - cached.loadedAt > VOLUME_REFRESH_AGE)) {
+        setChartsLoading(true);
+        try {
+            series = await loadVolumeData(markets, analyticsState.granularity, bounds);
+            volumeCache.set(key, { series, loadedAt: Date.now() });
+        } catch (error) {
+            console.error('Failed to load volume data:', error);
+        }
+        if (loadId !== volumeLoadId) return;
+    }
+
+    // Also ends the loading state of a slower load this call superseded
+    setChartsLoading(false);
 
-    renderVolumeChart(chartData);
-    renderBreakdownChart(chartData);
-    updateChartStats(chartData);
+    if (!series) return;
+
+    currentVolumeSeries = series;
+    renderVolumeView();
 }
 
 /**
- * Generate chart data from trades or mock
+ * Bucket the loaded series into top N plus "Others" and redraw charts, legend and stats
  */
-function generateChartData() {
-    const days = 30;
-    const symbols = ['XYZ100', 'NVDA', 'GOLD', 'TSLA', 'AAPL', 'META', 'AMZN', 'COIN', 'PLTR', 'Others'];
-    const data = {
-        labels: [],
-        datasets: [],
-        totalVolume: 0,
-        uniqueTraders: 0,
-        feesCollected: 0,
-        liquidations: 0,
-        bySymbol: {}
-    };
+function renderVolumeView() {
+    if (!currentVolumeSeries) return;
+
+    const { buckets, series, granularity, days } = currentVolumeSeries;
+    const data = buildVolumeData(buckets, series, granularity, analyticsState.topN);
+    data.days = days;
+    currentVolumeData = data;
+
+    renderVolumeChart(data);
+    renderBreakdownChart(data);
+    renderChartLegend();
+    updateChartStats(data);
+}
+
+/**
+ * Start and end of the selected range, aligned to the granularity
+ * endTime is null for ranges that run up to now
+ */
+function getRangeBounds() {
+    const step = ANALYTICS_GRANULARITIES[analyticsState.granularity];
+    const align = time => Math.floor(time / step) * step;
+
+    if (analyticsState.range === 'custom') {
+        const start = Date.parse(analyticsState.customStart);
+        const end = Date.parse(analyticsState.customEnd);
+        if (isNaN(start) || isNaN(end) || end < start) return null;
+        // The end date is inclusive
+        return { startTime: align(start), endTime: end + DAY_MS };
+    }
 
-    // Generate dates
-    for (let i = days - 1; i >= 0; i--) {
-        const date = new Date();
-        date.setDate(date.getDate() - i);
-        data.labels.push(date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }));
+    if (analyticsState.range === 'all') {
+        return { startTime: align(FillHistory.HISTORY_START), endTime: null };
     }
 
-    // Generate data for each symbol
-    symbols.forEach(symbol => {
-        const values = [];
-        let symbolTotal = 0;
-
-        for (let i = 0; i < days; i++) {
-            // Generate realistic-looking trading volume
-            const baseVolume = symbol === 'XYZ100' ? 500000000 :
-                symbol === 'NVDA' ? 200000000 :
-                    symbol === 'GOLD' ? 150000000 :
-                        50000000 + Math.random() * 100000000;
-
-            const variance = (Math.random() - 0.3) * baseVolume * 0.5;
-            const dayVolume = Math.max(0, baseVolume + variance);
-            values.push(dayVolume);
-            symbolTotal += dayVolume;
+    return { startTime: align(Date.now() - ANALYTICS_RANGES[analyticsState.range]), endTime: null };
+}
+
+/**
+ * Granularities that fit the selected range: at least one full bar and no more than ANALYTICS_MAX_BARS
+ */
+function getAllowedGranularities() {
+    const bounds = getRangeBounds();
+    if (!bounds) return Object.keys(ANALYTICS_GRANULARITIES);
+
+    const span = (bounds.endTime || Date.now()) - bounds.startTime;
+    return Object.keys(ANALYTICS_GRANULARITIES).filter(granularity => {
+        const bars = span / ANALYTICS_GRANULARITIES[granularity];
+        return bars >= 1 && bars <= ANALYTICS_MAX_BARS;
+    });
+}
+
+/**
+ * Notional volume of a candle. Candle volume is in contracts, so it is
+ * priced at the candle's typical price ((high + low + close) / 3).
+ */
+function getCandleNotional(candle) {
+    const typicalPrice = (parseFloat(candle.h) + parseFloat(candle.l) + parseFloat(candle.c)) / 3;
+    return parseFloat(candle.v) * typicalPrice;
+}
+
+/**
+ * Per-coin volume series from the candles of every market
+ * Returns { buckets, series, granularity, days }, with one value per bucket in each series
+ */
+async function loadVolumeData(markets, granularity, bounds) {
+    const results = await Promise.allSettled(markets.map(coin => HyperliquidAPI.getCandleHistory(
+        coin, granularity, bounds.startTime, bounds.endTime, { priority: 'low' }
+    )));
+
+    const candlesByCoin = {};
+    const times = new Set();
+    results.forEach((result, i) => {
+        if (result.status !== 'fulfilled') {
+            console.error(`Failed to load candles for ${markets[i]}:`, result.reason);
+            return;
         }
+        const candles = (result.value || []).filter(candle => !bounds.endTime || candle.t < bounds.endTime);
+        candles.forEach(candle => times.add(candle.t));
+        candlesByCoin[markets[i]] = candles;
+    });
 
-        data.datasets.push({
-            label: symbol,
-            data: values,
-            backgroundColor: getSymbolColor(symbol),
-            borderColor: getSymbolColor(symbol),
-            borderWidth: 1
+    // Bars are the candle open times seen in any market
+    const buckets = [...times].sort((a, b) => a - b);
+    const index = new Map(buckets.map((time, i) => [time, i]));
+
+    const series = {};
+    Object.entries(candlesByCoin).forEach(([coin, candles]) => {
+        const values = new Array(buckets.length).fill(0);
+        candles.forEach(candle => {
+            values[index.get(candle.t)] += getCandleNotional(candle);
         });
+        series[coin] = values;
+    });
 
-        data.bySymbol[symbol] = symbolTotal;
-        data.totalVolume += symbolTotal;
+    return {
+        buckets,
+        series,
+        granularity,
+        days: Math.max(1, ((bounds.endTime || Date.now()) - bounds.startTime) / DAY_MS)
+    };
+}
+
+/**
+ * Bar label: date for daily and weekly bars, date and hour otherwise (UTC)
+ */
+function formatBucketLabel(time, granularity) {
+    const options = { month: 'short', day: 'numeric', timeZone: 'UTC' };
+    if (ANALYTICS_GRANULARITIES[granularity] < DAY_MS) {
+        options.hour = '2-digit';
+        options.minute = '2-digit';
+        options.hour12 = false;
+    }
+    return new Date(time).toLocaleString('en-US', options);
+}
+
+/**
+ * Chart data from per-coin series: the topN largest symbols get their own
+ * dataset, the remainder is summed into "Others"
+ */
+function buildVolumeData(buckets, series, granularity, topN = VOLUME_DEFAULT_TOP) {
+    const data = {
+        labels: buckets.map(time => formatBucketLabel(time, granularity)),
+        datasets: [],
+        totalVolume: 0,
+        bySymbol: {},
+        marketCount: 0
+    };
+
+    const totals = Object.entries(series)
+        .map(([coin, values]) => ({ coin, values, total: values.reduce((sum, value) => sum + value, 0) }))
+        .filter(entry => entry.total > 0)
+        .sort((a, b) => b.total - a.total);
+
+    const others = new Array(buckets.length).fill(0);
+    totals.forEach((entry, rank) => {
+        const label = HyperliquidAPI.getDisplayName(entry.coin);
+        data.bySymbol[label] = entry.total;
+        data.totalVolume += entry.total;
+
+        if (rank < topN) {
+            data.datasets.push(createVolumeDataset(label, entry.values));
+        } else {
+            entry.values.forEach((value, i) => { others[i] += value; });
+        }
     });
 
-    // Use accurate Trade[XYZ] statistics from Hyperzap (All Time data)
-    // Source: https://hyperzap.io/hip3
-    data.uniqueTraders = 64545;       // Trade[XYZ] unique traders
-    data.feesCollected = 3270000;     // $3.27M in fees collected
-    data.liquidations = 116140;       // Total liquidations
+    if (totals.length > topN) {
+        data.datasets.push(createVolumeDataset(OTHERS_LABEL, others));
+    }
+
+    data.marketCount = totals.length;
 
     return data;
 }
 
+function createVolumeDataset(label, values) {
+    return {
+        label,
+        data: values,
+        backgroundColor: getSymbolColor(label),
+        borderColor: getSymbolColor(label),
+        borderWidth: 1,
+        hidden: hiddenSeries.has(label)
+    };
+}
+
 /**
  * Render stacked bar chart for volume over time
  */
@@ -127,15 +343,19 @@ function renderVolumeChart(data) {
     const ctx = document.getElementById('volumeChart');
     if (!ctx) return;
 
+    // Later ranges reuse the chart and only swap its data
     if (volumeChart) {
-        volumeChart.destroy();
+        volumeChart.data.labels = data.labels;
+        volumeChart.data.datasets = data.datasets.map(ds => ({ ...ds }));
+        volumeChart.update();
+        return;
     }
 
     volumeChart = new Chart(ctx, {
         type: 'bar',
         data: {
             labels: data.labels,
-            datasets: data.datasets
+            datasets: data.datasets.map(ds => ({ ...ds }))
         },
         options: {
             responsive: true,
@@ -197,22 +417,27 @@ function renderBreakdownChart(data) {
     const ctx = document.getElementById('breakdownChart');
     if (!ctx) return;
 
-    if (breakdownChart) {
-        breakdownChart.destroy();
-    }
-
-    // Convert to percentages
+    // Convert to percentages of the visible series, so toggling one off rescales the rest
+    const visible = data.datasets.filter(ds => !hiddenSeries.has(ds.label));
     const percentageDatasets = data.datasets.map(ds => {
         return {
             ...ds,
             data: ds.data.map((val, idx) => {
-                const dayTotal = data.datasets.reduce((sum, d) => sum + d.data[idx], 0);
+                const dayTotal = visible.reduce((sum, d) => sum + d.data[idx], 0);
                 return dayTotal > 0 ? (val / dayTotal) * 100 : 0;
             }),
-            fill: true
+            fill: true,
+            hidden: hiddenSeries.has(ds.label)
         };
     });
 
+    if (breakdownChart) {
+        breakdownChart.data.labels = data.labels;
+        breakdownChart.data.datasets = percentageDatasets;
+        breakdownChart.update();
+        return;
+    }
+
     breakdownChart = new Chart(ctx, {
         type: 'line',
         data: {
@@ -282,14 +507,16 @@ function renderBreakdownChart(data) {
 }
 
 /**
- * Update stats display
+ * Update stats display from the loaded volume data
  */
 function updateChartStats(data) {
+    const [topSymbol] = Object.entries(data.bySymbol).sort((a, b) => b[1] - a[1]);
+
     const elements = {
         'chartVolume': '$' + formatVolume(data.totalVolume),
-        'chartTraders': data.uniqueTraders.toLocaleString(),
-        'chartFees': '$' + formatVolume(data.feesCollected),
-        'chartLiquidations': data.liquidations.toLocaleString()
+        'chartAvgVolume': '$' + formatVolume(data.totalVolume / data.days),
+        'chartTopMarket': topSymbol ? `${topSymbol[0]} ($${formatVolume(topSymbol[1])})` : '—',
+        'chartMarkets': data.marketCount.toLocaleString()
     };
 
     Object.entries(elements).forEach(([id, value]) => {
@@ -298,6 +525,120 @@ function updateChartStats(data) {
     });
 }
 
+/**
+ * Reflect the selected range and granularity in the controls
+ */
+function renderAnalyticsControls() {
+    document.querySelectorAll('#analyticsRange .chart-toggle-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.range === analyticsState.range);
+    });
+
+    const custom = document.getElementById('analyticsCustomRange');
+    if (custom) custom.hidden = analyticsState.range !== 'custom';
+
+    const startInput = document.getElementById('analyticsStart');
+    const endInput = document.getElementById('analyticsEnd');
+    if (startInput) startInput.value = analyticsState.customStart;
+    if (endInput) endInput.value = analyticsState.customEnd;
+
+    const select = document.getElementById('analyticsGranularity');
+    if (select) {
+        const allowed = getAllowedGranularities();
+        select.querySelectorAll('option').forEach(option => {
+            option.disabled = !allowed.includes(option.value);
+        });
+        select.value = analyticsState.granularity;
+    }
+
+    const topSelect = document.getElementById('analyticsTopN');
+    if (topSelect) topSelect.value = analyticsState.topN;
+}
+
+/**
+ * Keep the granularity valid for the range (switching to the closest allowed one)
+ */
+function fitGranularityToRange() {
+    const allowed = getAllowedGranularities();
+    if (allowed.length === 0 || allowed.includes(analyticsState.granularity)) return;
+
+    const order = Object.keys(ANALYTICS_GRANULARITIES);
+    const current = order.indexOf(analyticsState.granularity);
+    analyticsState.granularity = allowed.reduce((best, granularity) =>
+        Math.abs(order.indexOf(granularity) - current) < Math.abs(order.indexOf(best) - current) ? granularity : best
+    );
+}
+
+function saveAnalyticsState() {
+    localStorage.setItem('analyticsRange', analyticsState.range);
+    localStorage.setItem('analyticsGranularity', analyticsState.granularity);
+    localStorage.setItem('analyticsCustomStart', analyticsState.customStart);
+    localStorage.setItem('analyticsCustomEnd', analyticsState.customEnd);
+    localStorage.setItem('analyticsTopN', analyticsState.topN);
+}
+
+function setChartsLoading(loading) {
+    const grid = document.querySelector('#tab-analytics .charts-grid');
+    if (grid) grid.classList.toggle('is-loading', loading);
+}
+
+/**
+ * Range and granularity listeners; each change redraws the existing charts
+ */
+function setupAnalyticsControls() {
+    const applyChange = () => {
+        fitGranularityToRange();
+        saveAnalyticsState();
+        initCharts();
+    };
+
+    const rangeGroup = document.getElementById('analyticsRange');
+    if (rangeGroup) {
+        rangeGroup.addEventListener('click', (e) => {
+            const btn = e.target.closest('.chart-toggle-btn');
+            if (!btn) return;
+            analyticsState.range = btn.dataset.range;
+
+            // Seed a custom range with the last 30 days
+            if (analyticsState.range === 'custom' && !analyticsState.customStart) {
+                const today = new Date().toISOString().slice(0, 10);
+                analyticsState.customStart = new Date(Date.now() - 30 * DAY_MS).toISOString().slice(0, 10);
+                analyticsState.customEnd = today;
+            }
+            applyChange();
+        });
+    }
+
+    ['analyticsStart', 'analyticsEnd'].forEach(id => {
+        const input = document.getElementById(id);
+        if (!input) return;
+        input.addEventListener('change', () => {
+            analyticsState.customStart = document.getElementById('analyticsStart').value;
+            analyticsState.customEnd = document.getElementById('analyticsEnd').value;
+            applyChange();
+        });
+    });
+
+    const select = document.getElementById('analyticsGranularity');
+    if (select) {
+        select.addEventListener('change', () => {
+            analyticsState.granularity = select.value;
+            applyChange();
+        });
+    }
+
+    // Bucketing only regroups the loaded series
+    const topSelect = document.getElementById('analyticsTopN');
+    if (topSelect) {
+        topSelect.addEventListener('change', () => {
+            analyticsState.topN = parseInt(topSelect.value, 10);
+            saveAnalyticsState();
+            renderVolumeView();
+        });
+    }
+}
+
+document.addEventListener('DOMContentLoaded', setupAnalyticsControls);
+
 /**
  * Format large volume numbers
  */
@@ -309,28 +650,101 @@ function formatVolume(num) {
 }
 
 /**
- * Render chart legend
+ * Legend of the series currently charted, in chart order
+ * Clicking an item toggles it; the solo button shows that series alone
  */
 function renderChartLegend() {
     const container = document.getElementById('chartLegend');
     if (!container) return;
 
-    const symbols = Object.keys(SYMBOL_COLORS).filter(s => s !== 'Others');
-    const topSymbols = symbols.slice(0, 12);
+    if (!currentVolumeData || currentVolumeData.datasets.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
 
-    container.innerHTML = topSymbols.map(symbol => `
-        <div class="legend-item">
-            <span class="legend-color" style="background: ${SYMBOL_COLORS[symbol]}"></span>
-            <span class="legend-label">${symbol}</span>
-        </div>
-    `).join('') + `
-        <div class="legend-item">
-            <span class="legend-color" style="background: ${SYMBOL_COLORS['Others']}"></span>
-            <span class="legend-label">Others</span>
+    const labels = currentVolumeData.datasets.map(ds => ds.label);
+    const soloLabel = getSoloLabel(labels);
+    const anyHidden = labels.some(label => hiddenSeries.has(label));
+
+    container.innerHTML = currentVolumeData.datasets.map(ds => `
+        <div class="legend-item ${hiddenSeries.has(ds.label) ? 'is-hidden' : ''} ${ds.label === soloLabel ? 'is-solo' : ''}"
+             data-series="${ds.label}" title="${i18n.t('legendToggleHint')}">
+            <span class="legend-color" style="background: ${ds.backgroundColor}"></span>
+            <span class="legend-label">${ds.label}</span>
+            <button class="legend-solo" data-solo="${ds.label}" title="${i18n.t('legendSolo')}">◎</button>
         </div>
-    `;
+    `).join('') + (anyHidden ? `
+        <button class="legend-reset" data-action="show-all">${i18n.t('legendShowAll')}</button>
+    ` : '');
+}
+
+/**
+ * The only visible series, when exactly one of several is shown
+ */
+function getSoloLabel(labels) {
+    const visible = labels.filter(label => !hiddenSeries.has(label));
+    return labels.length > 1 && visible.length === 1 ? visible[0] : null;
+}
+
+/**
+ * Show or hide one series in both charts
+ */
+function toggleSeries(label) {
+    if (hiddenSeries.has(label)) {
+        hiddenSeries.delete(label);
+    } else {
+        hiddenSeries.add(label);
+    }
+    applySeriesVisibility();
 }
 
+/**
+ * Show only one series; soloing the series already shown alone brings the others back
+ */
+function soloSeries(label) {
+    const labels = currentVolumeData ? currentVolumeData.datasets.map(ds => ds.label) : [];
+    const wasSolo = getSoloLabel(labels) === label;
+
+    hiddenSeries.clear();
+    if (!wasSolo) {
+        labels.filter(other => other !== label).forEach(other => hiddenSeries.add(other));
+    }
+    applySeriesVisibility();
+}
+
+function applySeriesVisibility() {
+    if (!currentVolumeData) return;
+
+    currentVolumeData.datasets.forEach(ds => { ds.hidden = hiddenSeries.has(ds.label); });
+    renderVolumeChart(currentVolumeData);
+    renderBreakdownChart(currentVolumeData);
+    renderChartLegend();
+}
+
+function setupChartLegend() {
+    const container = document.getElementById('chartLegend');
+    if (!container) return;
+
+    container.addEventListener('click', (e) => {
+        const solo = e.target.closest('[data-solo]');
+        if (solo) {
+            soloSeries(solo.dataset.solo);
+            return;
+        }
+
+        if (e.target.closest('[data-action="show-all"]')) {
+            hiddenSeries.clear();
+            applySeriesVisibility();
+            return;
+        }
+
+        const item = e.target.closest('.legend-item');
+        if (item) toggleSeries(item.dataset.series);
+    });
+}
+
+document.addEventListener('DOMContentLoaded', setupChartLegend);
+
 // Export
 window.Charts = {
     init: initCharts,
@@ -6,7 +6,9 @@
  * Create a market card element
  */
 function createMarketCard(asset, price, meta) {
-  const symbol = asset.replace('xyz:', '');
+  const symbol = HyperliquidAPI.getSymbol(asset);
+  const dex = HyperliquidAPI.getCoinDex(asset);
+  const showDex = HyperliquidAPI.getTrackedDexes().length > 1;
   const category = HyperliquidAPI.getAssetCategory(asset);
   const leverage = meta?.maxLeverage || 10;
 
@@ -14,19 +16,24 @@ function createMarketCard(asset, price, meta) {
   card.className = 'market-card';
   card.dataset.asset = asset;
   card.dataset.category = category;
+  card.dataset.dex = dex;
 
   card.innerHTML = `
     <div class="market-header">
       <div class="market-icon">${symbol.slice(0, 2)}</div>
       <div>
         <div class="market-name">${symbol}</div>
-        <div class="market-symbol text-secondary">${getCategoryLabel(category)}</div>
+        <div class="market-symbol text-secondary">
+          ${getCategoryLabel(category)}
+          ${AssetCategories.needsCategory(asset) ? `<span class="needs-category" title="${i18n.t('needsCategory')}">NEW</span>` : ''}
+        </div>
       </div>
     </div>
-    <div class="market-price" data-price="${price}">${HyperliquidAPI.formatPrice(price)}</div>
+    <div class="market-price" data-price="${price}">${HyperliquidAPI.formatPrice(price, asset)}</div>
     <div>
       <span class="market-change neutral" data-change="0">—</span>
       <span class="market-leverage">${leverage}x</span>
+      ${showDex ? `<span class="dex-tag">${dex}</span>` : ''}
     </div>
   `;
 
@@ -41,13 +48,7 @@ function createMarketCard(asset, price, meta) {
  * Get category label
  */
 function getCategoryLabel(category) {
-  const labels = {
-    equities: '📈 ' + (window.i18n ? i18n.t('equities') : 'Stock'),
-    commodities: '🏆 ' + (window.i18n ? i18n.t('commodities') : 'Commodity'),
-    forex: '💱 Forex',
-    index: '📊 Index'
-  };
-  return labels[category] || category;
+  return AssetCategories.getCategoryLabel(category);
 }
 
 /**
@@ -55,7 +56,7 @@ function getCategoryLabel(category) {
  */
 function createTradeItem(trade) {
   const asset = trade.coin || trade.symbol;
-  const symbol = asset.replace('xyz:', '');
+  const symbol = HyperliquidAPI.getDisplayName(asset);
   const isBuy = trade.side === 'B' || trade.side === 'buy';
   const time = trade.time ? new Date(trade.time) : new Date();
 
@@ -68,11 +69,11 @@ function createTradeItem(trade) {
   item.innerHTML = `
     <div class="trade-time">${HyperliquidAPI.formatTime(time)}</div>
     <div class="trade-asset">
-      <div class="trade-asset-icon">${symbol.slice(0, 2)}</div>
+      <div class="trade-asset-icon">${HyperliquidAPI.getSymbol(asset).slice(0, 2)}</div>
       <span>${symbol}</span>
     </div>
-    <div class="trade-price">$${HyperliquidAPI.formatPrice(trade.px)}</div>
-    <div class="trade-size">${parseFloat(trade.sz).toFixed(4)}</div>
+    <div class="trade-price">$${HyperliquidAPI.formatPrice(trade.px, asset)}</div>
+    <div class="trade-size">${HyperliquidAPI.formatSize(trade.sz, asset)}</div>
     <div class="trade-side ${isBuy ? 'buy' : 'sell'}">${isBuy ? buyLabel : sellLabel}</div>
   `;
 
@@ -84,7 +85,7 @@ function createTradeItem(trade) {
  */
 function createFillRow(fill) {
   const asset = fill.coin || '';
-  const symbol = asset.replace('xyz:', '');
+  const symbol = HyperliquidAPI.getDisplayName(asset);
   const isBuy = fill.side === 'B' || fill.side === 'buy';
   const time = fill.time ? new Date(fill.time) : new Date();
 
@@ -93,8 +94,8 @@ function createFillRow(fill) {
     <td>${HyperliquidAPI.formatDate(time)} ${HyperliquidAPI.formatTime(time)}</td>
     <td>${symbol}</td>
     <td class="${isBuy ? 'text-success' : 'text-danger'}">${isBuy ? 'ACHAT' : 'VENTE'}</td>
-    <td>$${HyperliquidAPI.formatPrice(fill.px)}</td>
-    <td>${parseFloat(fill.sz).toFixed(4)}</td>
+    <td>$${HyperliquidAPI.formatPrice(fill.px, asset)}</td>
+    <td>${HyperliquidAPI.formatSize(fill.sz, asset)}</td>
     <td>$${HyperliquidAPI.formatPrice(fill.px * fill.sz)}</td>
   `;
 
@@ -136,6 +137,21 @@ function showLoading(container) {
   `;
 }
 
+/**
+ * Show progress bar with a status message (percent: 0-100)
+ */
+function showProgress(container, message, percent) {
+  container.innerHTML = `
+    <div class="progress-state">
+      <p class="text-secondary">${message}</p>
+      <div class="progress-bar">
+        <div class="progress-bar-fill" style="width: ${percent}%"></div>
+      </div>
+      <span class="progress-percent text-mono">${percent}%</span>
+    </div>
+  `;
+}
+
 /**
  * Show empty state
  */
@@ -172,24 +188,41 @@ function showToast(message, type = 'info') {
 
 /**
  * Update connection status indicator
+ * Failed live subscriptions are counted next to the status and listed in its tooltip
  */
 function updateConnectionStatus(isConnected) {
   const dot = document.querySelector('.status-dot');
   const text = document.getElementById('connectionText');
+  const failed = window.wsManager
+    ? wsManager.getSubscriptions().filter(entry => entry.status === 'failed')
+    : [];
+  const degraded = isConnected && failed.length > 0;
 
   if (dot) {
     dot.classList.toggle('connected', isConnected);
+    dot.classList.toggle('degraded', degraded);
   }
   if (text) {
-    text.textContent = isConnected ? (window.i18n ? i18n.t('connected') : 'Live') : (window.i18n ? i18n.t('disconnected') : 'Disconnected');
+    const label = isConnected ? (window.i18n ? i18n.t('connected') : 'Live') : (window.i18n ? i18n.t('disconnected') : 'Disconnected');
+    text.textContent = degraded ? `${label} · ${failed.length} ${i18n.t('subscriptionsFailed')}` : label;
+    text.title = degraded ? failed.map(entry => formatSubscription(entry.subscription)).join('\n') : '';
   }
 }
 
+/**
+ * Short label of a WebSocket subscription ("trades NVDA")
+ */
+function formatSubscription(subscription) {
+  const coin = subscription.coin ? ` ${HyperliquidAPI.getDisplayName(subscription.coin)}` : '';
+  return `${subscription.type}${coin}`;
+}
+
 /**
  * Format price with change animation
+ * coin selects the market's price precision
  */
-function updatePriceElement(element, newPrice, oldPrice) {
-  element.textContent = `$${HyperliquidAPI.formatPrice(newPrice)}`;
+function updatePriceElement(element, newPrice, oldPrice, coin = null) {
+  element.textContent = `$${HyperliquidAPI.formatPrice(newPrice, coin)}`;
   element.dataset.price = newPrice;
 
   if (oldPrice) {
@@ -207,12 +240,10 @@ function updatePriceElement(element, newPrice, oldPrice) {
 }
 
 /**
- * Show market detail modal
+ * Show market detail panel (see js/marketDetail.js)
  */
 function showMarketDetail(asset) {
-  // For now, just log - could implement modal later
-  console.log('Show detail for:', asset);
-  showToast(`Détails de ${asset.replace('xyz:', '')} - Coming soon!`);
+  MarketDetail.open(asset);
 }
 
 // Export components
@@ -223,9 +254,11 @@ window.Components = {
   createStatCard,
   createCategoryTab,
   showLoading,
+  showProgress,
   showEmptyState,
   showToast,
   updateConnectionStatus,
+  formatSubscription,
   updatePriceElement,
   showMarketDetail,
   getCategoryLabel
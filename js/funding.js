@@ -0,0 +1,104 @@
+/**
+ * Funding Analytics for trade.xyz Tracker
+ * Paged funding history, annualized rates, rolling averages, cumulative
+ * funding of a notional position and a regime label for carry screening
+ *
+ * Funding is paid hourly. A positive rate means longs pay shorts.
+ */
+
+// fundingHistory returns at most this many entries per response
+const FUNDING_HISTORY_PAGE_LIMIT = 500;
+
+const FUNDING_PERIODS_PER_YEAR = 24 * 365;
+
+// Rolling windows for averages
+const FUNDING_WINDOWS = {
+  '24h': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000,
+  '30d': 30 * 24 * 60 * 60 * 1000
+};
+
+// Regimes by annualized rate, most negative first; each applies below its max APR
+const FUNDING_REGIMES = [
+  { id: 'regimeShortsPayHigh', maxApr: -0.25 },
+  { id: 'regimeShortsPay', maxApr: -0.05 },
+  { id: 'regimeNeutral', maxApr: 0.05 },
+  { id: 'regimeLongsPay', maxApr: 0.25 },
+  { id: 'regimeLongsPayHigh', maxApr: Infinity }
+];
+
+/**
+ * Hourly rate -> annualized rate (simple, not compounded)
+ */
+function annualizeFunding(rate) {
+  return rate * FUNDING_PERIODS_PER_YEAR;
+}
+
+/**
+ * Funding history of a coin since startTime, paging past the response limit
+ * Entries are oldest first: { coin, fundingRate, premium, time }
+ */
+async function loadMarketFundingHistory(coin, startTime, options = {}) {
+  const entries = [];
+  let cursor = startTime;
+
+  while (true) {
+    const page = await HyperliquidAPI.getFundingHistory(coin, cursor, options) || [];
+    entries.push(...page);
+    if (page.length < FUNDING_HISTORY_PAGE_LIMIT) break;
+    cursor = page[page.length - 1].time + 1;
+  }
+
+  return entries;
+}
+
+/**
+ * Average hourly rate and APR over each rolling window, ending at `now`
+ * A window with no entries averages to null
+ */
+function getFundingAverages(history, now = Date.now()) {
+  const averages = {};
+
+  Object.entries(FUNDING_WINDOWS).forEach(([label, duration]) => {
+    const rates = history
+      .filter(entry => entry.time >= now - duration)
+      .map(entry => parseFloat(entry.fundingRate));
+    const rate = rates.length > 0 ? rates.reduce((sum, value) => sum + value, 0) / rates.length : null;
+    averages[label] = { rate, apr: rate === null ? null : annualizeFunding(rate), count: rates.length };
+  });
+
+  return averages;
+}
+
+/**
+ * Running funding paid by a position of constant USD notional
+ * side: 'long' or 'short'. Positive values are paid, negative received.
+ */
+function getCumulativeFunding(history, notional, side) {
+  const direction = side === 'short' ? -1 : 1;
+  let paid = 0;
+
+  return history.map(entry => {
+    paid += parseFloat(entry.fundingRate) * notional * direction;
+    return { time: entry.time, paid };
+  });
+}
+
+/**
+ * Regime of an annualized rate (null while unknown)
+ */
+function getFundingRegime(apr) {
+  if (apr === null || apr === undefined || isNaN(apr)) return null;
+  return FUNDING_REGIMES.find(regime => apr < regime.maxApr).id;
+}
+
+// Export
+window.FundingAnalytics = {
+  FUNDING_WINDOWS,
+  FUNDING_REGIMES,
+  annualize: annualizeFunding,
+  loadHistory: loadMarketFundingHistory,
+  getAverages: getFundingAverages,
+  getCumulative: getCumulativeFunding,
+  getRegime: getFundingRegime
+};
@@ -0,0 +1,303 @@
+/**
+ * Funding Analytics View for trade.xyz Tracker
+ * Per-market funding history, annualized averages and the cumulative funding
+ * of a notional long or short
+ */
+
+const FUNDING_VIEW_WINDOW = FundingAnalytics.FUNDING_WINDOWS['30d'];
+const FUNDING_DEFAULT_NOTIONAL = 10000;
+
+const FUNDING_POSITIVE_COLOR = '#10b981';
+const FUNDING_NEGATIVE_COLOR = '#ef4444';
+
+// View state - history is for `coin`, charts are created on first render
+const fundingViewState = {
+    coin: localStorage.getItem('fundingCoin'),
+    side: 'long',
+    notional: FUNDING_DEFAULT_NOTIONAL,
+    history: [],
+    historyChart: null,
+    cumulativeChart: null
+};
+
+/**
+ * Called when the funding tab is shown: refresh the market list and load a market
+ */
+function showFundingView() {
+    const markets = HyperliquidAPI.getAllMarkets().sort((a, b) => a.localeCompare(b));
+    if (markets.length === 0) return;
+
+    const coin = markets.includes(fundingViewState.coin) ? fundingViewState.coin : markets[0];
+    renderFundingMarketOptions(markets, coin);
+
+    if (coin !== fundingViewState.coin || fundingViewState.history.length === 0) {
+        loadFundingView(coin);
+    }
+}
+
+function renderFundingMarketOptions(markets, selected) {
+    const select = document.getElementById('fundingMarket');
+    if (!select) return;
+
+    select.innerHTML = markets.map(coin => `
+        <option value="${coin}" ${coin === selected ? 'selected' : ''}>${HyperliquidAPI.getDisplayName(coin)}</option>
+    `).join('');
+}
+
+/**
+ * Load 30 days of funding for a market and redraw the view
+ */
+async function loadFundingView(coin) {
+    fundingViewState.coin = coin;
+    fundingViewState.history = [];
+    localStorage.setItem('fundingCoin', coin);
+
+    const select = document.getElementById('fundingMarket');
+    if (select) select.value = coin;
+
+    const stats = document.getElementById('fundingStats');
+    if (stats) Components.showLoading(stats);
+
+    try {
+        const history = await FundingAnalytics.loadHistory(coin, Date.now() - FUNDING_VIEW_WINDOW);
+        if (fundingViewState.coin !== coin) return;
+
+        fundingViewState.history = history;
+        renderFundingStats();
+        renderFundingHistoryChart();
+        renderCumulativeFundingChart();
+    } catch (error) {
+        console.error('Failed to load funding history:', error);
+        if (stats) Components.showEmptyState(stats, i18n.t('noData'));
+    }
+}
+
+/**
+ * Current rate and 24h/7d/30d averages, each with its APR
+ */
+function renderFundingStats() {
+    const container = document.getElementById('fundingStats');
+    if (!container) return;
+
+    const history = fundingViewState.history;
+    if (history.length === 0) {
+        Components.showEmptyState(container, i18n.t('noData'));
+        return;
+    }
+
+    const averages = FundingAnalytics.getAverages(history);
+    const latest = parseFloat(history[history.length - 1].fundingRate);
+    const cumulative = FundingAnalytics.getCumulative(history, fundingViewState.notional, fundingViewState.side);
+    const paid = cumulative[cumulative.length - 1].paid;
+
+    const stat = (label, rate, subtitle) => `
+        <div class="analytics-stat">
+            <div class="analytics-stat-label">${label}</div>
+            <div class="analytics-stat-value ${rate === null ? '' : rate >= 0 ? 'text-success' : 'text-danger'}">
+                ${rate === null ? '—' : formatApr(FundingAnalytics.annualize(rate))}
+            </div>
+            <div class="analytics-stat-sub text-secondary">${subtitle}</div>
+        </div>
+    `;
+
+    const regime = FundingAnalytics.getRegime(averages['7d'].apr);
+
+    container.innerHTML = `
+        ${stat(i18n.t('fundingCurrent'), latest, HyperliquidAPI.formatFundingRate(latest))}
+        ${Object.entries(averages).map(([label, average]) => stat(
+            `${i18n.t('average')} ${label}`,
+            average.rate,
+            average.rate === null ? '—' : HyperliquidAPI.formatFundingRate(average.rate)
+        )).join('')}
+        <div class="analytics-stat">
+            <div class="analytics-stat-label">${i18n.t('fundingPnl30d')}</div>
+            <div class="analytics-stat-value ${paid > 0 ? 'text-danger' : 'text-success'}">${formatSignedUsd(-paid)}</div>
+            <div class="analytics-stat-sub text-secondary">${regime ? i18n.t(regime) : '—'}</div>
+        </div>
+    `;
+}
+
+/**
+ * Annualized rate as a signed percentage
+ */
+function formatApr(apr) {
+    const pct = apr * 100;
+    return `${pct >= 0 ? '+' : ''}${pct.toFixed(2)}% APR`;
+}
+
+/**
+ * Hourly funding over the window, as APR bars
+ */
+function renderFundingHistoryChart() {
+    const history = fundingViewState.history;
+    const labels = history.map(entry => formatFundingTime(entry.time));
+    const aprs = history.map(entry => FundingAnalytics.annualize(parseFloat(entry.fundingRate)) * 100);
+    const colors = aprs.map(apr => apr >= 0 ? FUNDING_POSITIVE_COLOR : FUNDING_NEGATIVE_COLOR);
+
+    if (fundingViewState.historyChart) {
+        const chart = fundingViewState.historyChart;
+        chart.data.labels = labels;
+        chart.data.datasets[0].data = aprs;
+        chart.data.datasets[0].backgroundColor = colors;
+        chart.update('none');
+        return;
+    }
+
+    const ctx = document.getElementById('fundingHistoryChart');
+    if (!ctx) return;
+
+    fundingViewState.historyChart = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels,
+            datasets: [{
+                label: 'APR',
+                data: aprs,
+                backgroundColor: colors,
+                barPercentage: 1,
+                categoryPercentage: 1
+            }]
+        },
+        options: fundingChartOptions(value => `${value.toFixed(1)}%`, context => {
+            const entry = fundingViewState.history[context.dataIndex];
+            return [
+                `APR: ${formatApr(context.parsed.y / 100)}`,
+                `${i18n.t('hourly')}: ${HyperliquidAPI.formatFundingRate(entry.fundingRate)}`
+            ];
+        })
+    });
+}
+
+/**
+ * Running funding paid by the chosen notional position (paid shown as a loss)
+ */
+function renderCumulativeFundingChart() {
+    const points = FundingAnalytics.getCumulative(
+        fundingViewState.history,
+        fundingViewState.notional,
+        fundingViewState.side
+    );
+    const labels = points.map(point => formatFundingTime(point.time));
+    const pnl = points.map(point => -point.paid);
+
+    if (fundingViewState.cumulativeChart) {
+        const chart = fundingViewState.cumulativeChart;
+        chart.data.labels = labels;
+        chart.data.datasets[0].data = pnl;
+        chart.update('none');
+        return;
+    }
+
+    const ctx = document.getElementById('fundingCumulativeChart');
+    if (!ctx) return;
+
+    fundingViewState.cumulativeChart = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels,
+            datasets: [{
+                label: i18n.t('fundingPnl'),
+                data: pnl,
+                borderColor: '#00d4ff',
+                backgroundColor: 'rgba(0, 212, 255, 0.1)',
+                borderWidth: 1.5,
+                fill: 'origin',
+                pointRadius: 0
+            }]
+        },
+        options: fundingChartOptions(
+            value => formatSignedUsd(value),
+            context => `${i18n.t('fundingPnl')}: ${formatSignedUsd(context.parsed.y)}`
+        )
+    });
+}
+
+function formatFundingTime(time) {
+    return new Date(time).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', hour12: false });
+}
+
+/**
+ * Shared options of the funding charts
+ */
+function fundingChartOptions(formatTick, formatLabel) {
+    return {
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: false,
+        interaction: {
+            mode: 'index',
+            intersect: false
+        },
+        plugins: {
+            legend: {
+                display: false
+            },
+            tooltip: {
+                backgroundColor: 'rgba(10, 10, 15, 0.95)',
+                borderColor: 'rgba(255, 255, 255, 0.1)',
+                borderWidth: 1,
+                titleColor: '#fff',
+                bodyColor: '#a0a0b0',
+                padding: 12,
+                callbacks: {
+                    label: formatLabel
+                }
+            }
+        },
+        scales: {
+            x: {
+                grid: {
+                    display: false
+                },
+                ticks: {
+                    color: '#606070',
+                    maxRotation: 0,
+                    autoSkip: true,
+                    maxTicksLimit: 8
+                }
+            },
+            y: {
+                position: 'right',
+                grid: {
+                    color: 'rgba(255, 255, 255, 0.05)'
+                },
+                ticks: {
+                    color: '#606070',
+                    callback: formatTick
+                }
+            }
+        }
+    };
+}
+
+/**
+ * Form listeners: a new market refetches, side and notional only redraw
+ */
+function setupFundingListeners() {
+    const market = document.getElementById('fundingMarket');
+    if (market) {
+        market.addEventListener('change', () => loadFundingView(market.value));
+    }
+
+    const side = document.getElementById('fundingSide');
+    const notional = document.getElementById('fundingNotional');
+    const redraw = () => {
+        fundingViewState.side = side.value;
+        fundingViewState.notional = parseFloat(notional.value) || 0;
+        if (fundingViewState.history.length > 0) {
+            renderFundingStats();
+            renderCumulativeFundingChart();
+        }
+    };
+
+    if (side) side.addEventListener('change', redraw);
+    if (notional) notional.addEventListener('input', redraw);
+}
+
+document.addEventListener('DOMContentLoaded', setupFundingListeners);
+
+// Export
+window.FundingView = {
+    show: showFundingView,
+    open: loadFundingView
+};
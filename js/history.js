@@ -0,0 +1,234 @@
+/**
+ * Fill History Loader for trade.xyz Tracker
+ * Pages through userFillsByTime to rebuild a wallet's complete HIP-3 fill history
+ *
+ * The API returns at most 2000 fills per response (oldest first within the
+ * requested range) and only the 10000 most recent fills overall. The loader
+ * walks backwards in fixed windows from now until it passes the HIP-3 launch,
+ * paging forward inside any window that comes back full. Progress is saved
+ * after every window so an interrupted load resumes where it stopped.
+ * Funding payments are saved too, and later loads only fetch newer ones.
+ *
+ * Fills on every HIP-3 DEX are kept, so changing the tracked DEXes never
+ * requires a reload; callers filter by DEX.
+ */
+
+const FILLS_PAGE_LIMIT = 2000;
+const FUNDING_PAGE_LIMIT = 500;
+const FILLS_API_CAP = 10000;
+const HISTORY_WINDOW = 30 * 24 * 60 * 60 * 1000;
+
+// No HIP-3 fills exist before the first deployments went live
+const HIP3_HISTORY_START = Date.UTC(2025, 9, 1);
+
+/**
+ * Stable identity for a fill, used to de-duplicate overlapping pages
+ */
+function getFillKey(fill) {
+  if (fill.tid !== undefined) return String(fill.tid);
+  return `${fill.hash}:${fill.time}:${fill.coin}:${fill.sz}`;
+}
+
+/**
+ * Whether a fill (or funding delta) belongs to a HIP-3 market ("dex:SYMBOL")
+ */
+function isHip3Entry(entry) {
+  return Boolean(entry.coin && HyperliquidAPI.getCoinDex(entry.coin));
+}
+
+// Cursors saved before multi-DEX support only hold xyz fills, hence the new prefix;
+// v2 drops cursors whose fetched count included duplicates and was wrongly truncated
+function getCursorKey(address) {
+  return `hip3FillHistory:v2:${address.toLowerCase()}`;
+}
+
+function getFundingCursorKey(address) {
+  return `hip3FundingHistory:${address.toLowerCase()}`;
+}
+
+/**
+ * Fetch every fill in [startTime, endTime], paging forward while pages are full
+ * Returns the distinct fills on all DEXes
+ */
+async function fetchFillWindow(address, startTime, endTime, signal) {
+  const fills = [];
+  const known = new Set();
+  let pageStart = startTime;
+
+  while (true) {
+    if (signal && signal.aborted) break;
+
+    const page = await HyperliquidAPI.getUserFillsByTime(address, pageStart, endTime) || [];
+    page.forEach(fill => {
+      const key = getFillKey(fill);
+      if (known.has(key)) return;
+      known.add(key);
+      fills.push(fill);
+    });
+
+    if (page.length < FILLS_PAGE_LIMIT) break;
+
+    // Next page starts at the last fill's timestamp, so that fill comes back again
+    const lastTime = Math.max(...page.map(f => f.time));
+    if (lastTime <= pageStart) break;
+    pageStart = lastTime;
+  }
+
+  return fills;
+}
+
+/**
+ * Merge fills into the cursor, keeping HIP-3 fills only
+ */
+function mergeFills(cursor, fills) {
+  const known = new Set(cursor.fills.map(getFillKey));
+  fills.forEach(fill => {
+    if (!isHip3Entry(fill)) return;
+    const key = getFillKey(fill);
+    if (known.has(key)) return;
+    known.add(key);
+    cursor.fills.push(fill);
+  });
+}
+
+/**
+ * Load a wallet's complete HIP-3 fill history
+ *
+ * options.onProgress({ fills, fetched, oldestTime, percent, done }) is called after every window
+ * options.signal (AbortSignal) stops the walk; progress so far stays saved
+ *
+ * Resolves to { fills, done, truncated } - truncated means the API's
+ * 10000-fill cap was reached before the start of HIP-3 history
+ */
+async function loadFillHistory(address, options = {}) {
+  const { onProgress, signal } = options;
+  const key = getCursorKey(address);
+  const now = Date.now();
+
+  const cursor = await ResponseCache.readRecord(key) || {
+    fills: [],
+    fetched: 0,         // distinct fills (all DEXes) found by the backward walk
+    newestTime: null,
+    oldestTime: now,
+    done: false,
+    truncated: false
+  };
+
+  const report = () => {
+    if (!onProgress) return;
+    const span = now - HIP3_HISTORY_START;
+    onProgress({
+      fills: cursor.fills.length,
+      fetched: cursor.fetched,
+      oldestTime: cursor.oldestTime,
+      percent: cursor.done ? 100 : Math.min(100, Math.round((now - cursor.oldestTime) / span * 100)),
+      done: cursor.done
+    });
+  };
+
+  // Catch up on fills newer than the last completed load
+  if (cursor.newestTime === null) {
+    cursor.newestTime = now;
+  } else {
+    mergeFills(cursor, await fetchFillWindow(address, cursor.newestTime, now, signal));
+    // An interrupted catch-up may have missed fills, so the next load retries from the same point
+    if (!(signal && signal.aborted)) {
+      cursor.newestTime = now;
+    }
+  }
+  report();
+
+  // Walk backwards until the start of HIP-3 history or the API cap
+  // Windows end just before the previous one starts, so no fill is counted twice
+  while (!cursor.done && !(signal && signal.aborted)) {
+    const endTime = cursor.oldestTime - 1;
+    const startTime = Math.max(HIP3_HISTORY_START, cursor.oldestTime - HISTORY_WINDOW);
+
+    const fills = await fetchFillWindow(address, startTime, endTime, signal);
+    if (signal && signal.aborted) break;
+
+    mergeFills(cursor, fills);
+    cursor.fetched += fills.length;
+    cursor.oldestTime = startTime;
+
+    if (startTime <= HIP3_HISTORY_START) {
+      cursor.done = true;
+    } else if (cursor.fetched >= FILLS_API_CAP) {
+      cursor.done = true;
+      cursor.truncated = true;
+    }
+
+    await ResponseCache.writeRecord(key, cursor);
+    report();
+  }
+
+  await ResponseCache.writeRecord(key, cursor);
+
+  return {
+    fills: [...cursor.fills].sort((a, b) => a.time - b.time),
+    done: cursor.done,
+    truncated: cursor.truncated
+  };
+}
+
+/**
+ * Load every HIP-3 funding payment since the start of HIP-3 history
+ * userFunding returns at most 500 entries per response, oldest first
+ *
+ * Payments are saved with the time of the newest entry seen, so later loads
+ * only page through what is newer (that entry is fetched again and de-duplicated)
+ */
+async function loadFundingHistory(address, options = {}) {
+  const { signal } = options;
+  const key = getFundingCursorKey(address);
+  const endTime = Date.now();
+
+  const cursor = await ResponseCache.readRecord(key) || {
+    payments: [],
+    newestTime: HIP3_HISTORY_START
+  };
+  const known = new Set(cursor.payments.map(entry => `${entry.time}:${entry.delta.coin}`));
+  const startTime = cursor.newestTime;
+
+  while (!(signal && signal.aborted)) {
+    const page = await HyperliquidAPI.getUserFunding(address, cursor.newestTime, endTime) || [];
+
+    page.forEach(entry => {
+      if (!entry.delta || !isHip3Entry(entry.delta)) return;
+      const entryKey = `${entry.time}:${entry.delta.coin}`;
+      if (known.has(entryKey)) return;
+      known.add(entryKey);
+      cursor.payments.push(entry);
+    });
+
+    // Pages come oldest first, so everything up to the last entry is in the cursor
+    const lastTime = page.length > 0 ? Math.max(...page.map(entry => entry.time)) : cursor.newestTime;
+    const advanced = lastTime > cursor.newestTime;
+    cursor.newestTime = Math.max(cursor.newestTime, lastTime);
+
+    if (page.length < FUNDING_PAGE_LIMIT || !advanced) break;
+  }
+
+  if (cursor.newestTime > startTime) {
+    await ResponseCache.writeRecord(key, cursor);
+  }
+
+  return [...cursor.payments];
+}
+
+/**
+ * Forget a wallet's saved history so the next load starts from scratch
+ */
+async function resetFillHistory(address) {
+  await ResponseCache.deleteRecord(getCursorKey(address));
+  await ResponseCache.deleteRecord(getFundingCursorKey(address));
+}
+
+// Export
+window.FillHistory = {
+  load: loadFillHistory,
+  loadFunding: loadFundingHistory,
+  reset: resetFillHistory,
+  getFillKey,
+  HISTORY_START: HIP3_HISTORY_START
+};
@@ -25,6 +25,8 @@ const translations = {
         tabHip3: "HIP-3",
         tabAnalytics: "Analytics",
         tabWallet: "Wallet",
+        tabLiquidity: "Liquidity",
+        tabFunding: "Funding",
 
         // Categories
         all: "All",
@@ -32,6 +34,13 @@ const translations = {
         commodities: "Commodities",
         forex: "Forex",
         index: "Index",
+        cryptoEquities: "Crypto Stocks",
+        etfs: "ETFs",
+        rates: "Rates",
+        other: "Other",
+        needsCategory: "Needs a category",
+        unclassifiedNotice: "New markets need a category",
+        resetCategory: "Reset to default category",
 
         // Market Cards
         marketsTitle: "HIP-3 MARKETS",
@@ -49,6 +58,11 @@ const translations = {
         walletSearchDesc: "Enter an Ethereum wallet address to view transaction history on HIP-3 markets",
         walletPlaceholder: "0x... (wallet address)",
         search: "Search",
+        walletWatch: "Watch",
+        walletWatching: "Watching",
+        walletWatchStarted: "Watching live:",
+        walletWatchStopped: "Stopped watching the wallet",
+        walletLiquidated: "Liquidated",
 
         // PNL
         performance: "HIP-3 Performance",
@@ -59,6 +73,88 @@ const translations = {
         pnlByAsset: "PNL by Asset",
         trades: "trades",
         transactionHistory: "Transaction History",
+        costBasis: "Cost basis method",
+        costBasis_fifo: "FIFO",
+        costBasis_lifo: "LIFO",
+        costBasis_average: "Average cost",
+        exchangeClosedPnl: "Exchange closedPnl",
+        difference: "difference",
+        historyGaps: "fills with missing prior history",
+        fundingLedger: "Funding Ledger",
+        fundingPayments: "Payments",
+        fundingReceived: "Received",
+        fundingPaid: "Paid",
+        fundingAvgRate: "Avg. hourly rate",
+        fundingLast: "Last payment",
+        openPositions: "Open Positions",
+        noOpenPositions: "No open positions on HIP-3 markets",
+        accountValue: "Account Value",
+        withdrawable: "Withdrawable",
+        marginUsed: "Margin Used",
+        unrealizedPnl: "Unrealized PNL",
+        size: "Size",
+        entryPrice: "Entry",
+        markPrice: "Mark",
+        leverage: "Leverage",
+        leverage_cross: "cross",
+        leverage_isolated: "isolated",
+        liquidationPrice: "Liq. Price",
+        totalNotional: "Total notional",
+        close: "Close",
+        priceChart: "Price",
+        fundingHistory: "Funding History (7d)",
+        orderBook: "Order Book",
+        tradeTape: "Trades",
+        maxLeverage: "Max Leverage",
+        orders: "Orders",
+        spread: "Spread",
+        grouping: "Group",
+        average: "Average",
+        noRecentTrades: "No recent trades",
+        impactEstimator: "MARKET IMPACT ESTIMATOR",
+        impactBySize: "IMPACT BY ORDER SIZE",
+        impactTableDesc: "Average slippage versus mid (bps) of a market buy and sell of each size, from the current order books",
+        estimate: "Estimate",
+        avgFillPrice: "Avg. Fill Price",
+        slippageVsMid: "Slippage vs Mid",
+        levelsConsumed: "Levels Consumed",
+        worstPrice: "Worst Price",
+        distanceFromMid: "From Mid (bps)",
+        insufficientDepth: "Not enough depth in the visible book",
+        partialFillWarning: "The visible book (top 20 levels) cannot fill this order; the rest would execute at worse prices.",
+        noData: "No data available",
+        fundingAnalytics: "FUNDING ANALYTICS",
+        fundingHistory30d: "Hourly Funding, Annualized (30d)",
+        cumulativeFunding: "Cumulative Funding P&L of the Position",
+        fundingCurrent: "Current",
+        fundingPnl: "Funding P&L",
+        fundingPnl30d: "Funding P&L (30d)",
+        hourly: "Hourly",
+        long: "Long",
+        short: "Short",
+        regimeLongsPayHigh: "Longs pay (high)",
+        regimeLongsPay: "Longs pay",
+        regimeNeutral: "Neutral",
+        regimeShortsPay: "Shorts pay",
+        regimeShortsPayHigh: "Shorts pay (high)",
+        predictedByApi: "Predicted by the API",
+        predictedFromPremium: "Estimated from the current premium",
+        fundingFilterAll: "All funding",
+        fundingFilterHigh: "|APR| ≥ 25%",
+        liquidityMonitor: "LIQUIDITY MONITOR",
+        liquidityMonitorDesc: "Spread, top-of-book size and depth within 1% and 2% of mid, sampled every minute. Markets whose depth halves or spread doubles against the last hour are highlighted.",
+        liquidityDrop: "Thin",
+        liquidityDropHint: "Depth halved or spread doubled compared with the last hour",
+        pnlByDex: "PNL by DEX",
+        fees: "Fees",
+        trackedDexes: "Tracked DEXes",
+        avgFunding: "Avg. Funding",
+        openOrders: "Open Orders",
+        noOpenOrders: "No resting orders on HIP-3 markets",
+        distanceFromMark: "From Mark",
+        notional: "Notional",
+        bidNotional: "Bids",
+        askNotional: "Asks",
 
         // Table Headers
         date: "Date",
@@ -80,8 +176,16 @@ const translations = {
         // Analytics
         analyticsTitle: "PER-DEX SYMBOL ANALYTICS",
         tradingVolume: "Trading Volume",
-        feesCollected: "Trading Fees Collected",
-        liquidations: "Liquidations",
+        allTime: "All time",
+        customRange: "Custom",
+        granularity: "Granularity",
+        legendTopN: "Top symbols",
+        legendShowAll: "Show all",
+        legendSolo: "Show only this series",
+        legendToggleHint: "Click to show or hide",
+        avgDailyVolume: "Avg. Daily Volume",
+        mostTraded: "Most Traded",
+        marketsTraded: "Markets Traded",
         volumeOverTime: "Trade[XYZ] Trading Volume Over Time (by Symbol)",
         volumeBreakdown: "Trade[XYZ] Trading Volume % Breakdown by Symbol",
 
@@ -94,12 +198,29 @@ const translations = {
 
         // Toasts
         connectedRealtime: "Connected in real-time",
+        subscriptionFailed: "Live feed unavailable",
+        subscriptionsFailed: "feeds failed",
+        recordStream: "Record the live stream",
+        recordingStarted: "Recording the live stream",
+        recordingSaved: "frames saved",
+        recordingEmpty: "Nothing was recorded",
+        recordingTruncated: "Recording limit reached, later frames were not kept",
+        replayStream: "Replay a recorded session",
+        replaySpeed: "Replay speed",
+        replayMax: "Max",
+        replaying: "Replay",
+        replayStarted: "Replaying frames:",
+        replayFinished: "Replay finished",
+        replayStopped: "Replay stopped",
+        replayInvalidFile: "Not a valid session recording",
         invalidWallet: "Invalid wallet address",
         noTransactions: "No transactions found for this wallet",
         transactionsFound: "transactions found",
         searchError: "Search error",
         apiError: "API connection error",
-        noHip3Transactions: "No transactions for HIP-3 markets"
+        noHip3Transactions: "No transactions for HIP-3 markets",
+        loadingHistory: "Loading fill history",
+        historyTruncated: "Fill history reaches the API's 10,000-fill limit; older fills are not included"
     },
 
     fr: {
@@ -123,6 +244,8 @@ const translations = {
         tabHip3: "HIP-3",
         tabAnalytics: "Statistiques",
         tabWallet: "Portefeuille",
+        tabLiquidity: "Liquidité",
+        tabFunding: "Funding",
 
         // Categories
         all: "Tous",
@@ -130,6 +253,13 @@ const translations = {
         commodities: "Commodités",
         forex: "Forex",
         index: "Index",
+        cryptoEquities: "Actions Crypto",
+        etfs: "ETF",
+        rates: "Taux",
+        other: "Autre",
+        needsCategory: "Catégorie à définir",
+        unclassifiedNotice: "Nouveaux marchés sans catégorie",
+        resetCategory: "Revenir à la catégorie par défaut",
 
         // Market Cards
         marketsTitle: "MARCHÉS HIP-3",
@@ -147,6 +277,11 @@ const translations = {
         walletSearchDesc: "Entrez une adresse wallet Ethereum pour voir l'historique des transactions sur les marchés HIP-3",
         walletPlaceholder: "0x... (adresse wallet)",
         search: "Rechercher",
+        walletWatch: "Suivre",
+        walletWatching: "Suivi en cours",
+        walletWatchStarted: "Suivi en direct :",
+        walletWatchStopped: "Suivi du wallet arrêté",
+        walletLiquidated: "Liquidé",
 
         // PNL
         performance: "Performance HIP-3",
@@ -157,6 +292,88 @@ const translations = {
         pnlByAsset: "PNL par Actif",
         trades: "trades",
         transactionHistory: "Historique des Transactions",
+        costBasis: "Méthode de coût de revient",
+        costBasis_fifo: "FIFO",
+        costBasis_lifo: "LIFO",
+        costBasis_average: "Coût moyen",
+        exchangeClosedPnl: "closedPnl de l'exchange",
+        difference: "écart",
+        historyGaps: "fills avec historique antérieur manquant",
+        fundingLedger: "Registre du Funding",
+        fundingPayments: "Paiements",
+        fundingReceived: "Reçu",
+        fundingPaid: "Payé",
+        fundingAvgRate: "Taux horaire moyen",
+        fundingLast: "Dernier paiement",
+        openPositions: "Positions Ouvertes",
+        noOpenPositions: "Aucune position ouverte sur les marchés HIP-3",
+        accountValue: "Valeur du Compte",
+        withdrawable: "Retirable",
+        marginUsed: "Marge Utilisée",
+        unrealizedPnl: "PNL Latent",
+        size: "Taille",
+        entryPrice: "Entrée",
+        markPrice: "Mark",
+        leverage: "Levier",
+        leverage_cross: "cross",
+        leverage_isolated: "isolé",
+        liquidationPrice: "Prix de Liq.",
+        totalNotional: "Notionnel total",
+        close: "Fermer",
+        priceChart: "Prix",
+        fundingHistory: "Historique du Funding (7j)",
+        orderBook: "Carnet d'Ordres",
+        tradeTape: "Transactions",
+        maxLeverage: "Levier Max",
+        orders: "Ordres",
+        spread: "Spread",
+        grouping: "Regrouper",
+        average: "Moyenne",
+        noRecentTrades: "Aucune transaction récente",
+        impactEstimator: "ESTIMATEUR D'IMPACT DE MARCHÉ",
+        impactBySize: "IMPACT PAR TAILLE D'ORDRE",
+        impactTableDesc: "Slippage moyen par rapport au mid (bps) d'un achat et d'une vente au marché de chaque taille, d'après les carnets actuels",
+        estimate: "Estimer",
+        avgFillPrice: "Prix Moyen d'Exécution",
+        slippageVsMid: "Slippage vs Mid",
+        levelsConsumed: "Niveaux Consommés",
+        worstPrice: "Pire Prix",
+        distanceFromMid: "Écart au Mid (bps)",
+        insufficientDepth: "Profondeur insuffisante dans le carnet visible",
+        partialFillWarning: "Le carnet visible (20 premiers niveaux) ne peut pas exécuter cet ordre ; le reste serait exécuté à des prix moins bons.",
+        noData: "Aucune donnée disponible",
+        fundingAnalytics: "ANALYSE DU FUNDING",
+        fundingHistory30d: "Funding horaire, annualisé (30j)",
+        cumulativeFunding: "P&L de funding cumulé de la position",
+        fundingCurrent: "Actuel",
+        fundingPnl: "P&L de funding",
+        fundingPnl30d: "P&L de funding (30j)",
+        hourly: "Horaire",
+        long: "Long",
+        short: "Short",
+        regimeLongsPayHigh: "Longs paient (élevé)",
+        regimeLongsPay: "Longs paient",
+        regimeNeutral: "Neutre",
+        regimeShortsPay: "Shorts paient",
+        regimeShortsPayHigh: "Shorts paient (élevé)",
+        predictedByApi: "Prédit par l'API",
+        predictedFromPremium: "Estimé à partir de la prime actuelle",
+        fundingFilterAll: "Tous les fundings",
+        fundingFilterHigh: "|APR| ≥ 25 %",
+        liquidityMonitor: "MONITEUR DE LIQUIDITÉ",
+        liquidityMonitorDesc: "Spread, taille au meilleur prix et profondeur à 1 % et 2 % du mid, mesurés chaque minute. Les marchés dont la profondeur est divisée par deux ou le spread doublé par rapport à la dernière heure sont mis en évidence.",
+        liquidityDrop: "Mince",
+        liquidityDropHint: "Profondeur divisée par deux ou spread doublé par rapport à la dernière heure",
+        pnlByDex: "PNL par DEX",
+        fees: "Frais",
+        trackedDexes: "DEX suivis",
+        avgFunding: "Funding Moyen",
+        openOrders: "Ordres Ouverts",
+        noOpenOrders: "Aucun ordre en attente sur les marchés HIP-3",
+        distanceFromMark: "Écart au Mark",
+        notional: "Notionnel",
+        bidNotional: "Achats",
+        askNotional: "Ventes",
 
         // Table Headers
         date: "Date",
@@ -178,8 +395,16 @@ const translations = {
         // Analytics
         analyticsTitle: "ANALYTICS PAR SYMBOLE",
         tradingVolume: "Volume de Trading",
-        feesCollected: "Frais Collectés",
-        liquidations: "Liquidations",
+        allTime: "Depuis le début",
+        customRange: "Personnalisé",
+        granularity: "Granularité",
+        legendTopN: "Top symboles",
+        legendShowAll: "Tout afficher",
+        legendSolo: "Afficher uniquement cette série",
+        legendToggleHint: "Cliquer pour afficher ou masquer",
+        avgDailyVolume: "Volume Quotidien Moyen",
+        mostTraded: "Le Plus Échangé",
+        marketsTraded: "Marchés Échangés",
         volumeOverTime: "Trade[XYZ] Volume par Jour (par Symbole)",
         volumeBreakdown: "Trade[XYZ] Répartition du Volume en %",
 
@@ -192,12 +417,29 @@ const translations = {
 
         // Toasts
         connectedRealtime: "Connecté en temps réel",
+        subscriptionFailed: "Flux temps réel indisponible",
+        subscriptionsFailed: "flux en échec",
+        recordStream: "Enregistrer le flux en direct",
+        recordingStarted: "Enregistrement du flux en direct",
+        recordingSaved: "trames enregistrées",
+        recordingEmpty: "Rien n'a été enregistré",
+        recordingTruncated: "Limite d'enregistrement atteinte, les trames suivantes n'ont pas été gardées",
+        replayStream: "Rejouer une session enregistrée",
+        replaySpeed: "Vitesse de relecture",
+        replayMax: "Max",
+        replaying: "Relecture",
+        replayStarted: "Relecture des trames :",
+        replayFinished: "Relecture terminée",
+        replayStopped: "Relecture arrêtée",
+        replayInvalidFile: "Fichier de session invalide",
         invalidWallet: "Adresse wallet invalide",
         noTransactions: "Aucune transaction trouvée pour ce wallet",
         transactionsFound: "transactions trouvées",
         searchError: "Erreur lors de la recherche",
         apiError: "Erreur de connexion à l'API",
-        noHip3Transactions: "Aucune transaction pour les marchés HIP-3"
+        noHip3Transactions: "Aucune transaction pour les marchés HIP-3",
+        loadingHistory: "Chargement de l'historique",
+        historyTruncated: "L'historique atteint la limite de 10 000 fills de l'API ; les plus anciens ne sont pas inclus"
     }
 };
 
@@ -248,6 +490,11 @@ function updateAllTranslations() {
         el.placeholder = t(key);
     });
 
+    // Update all elements with data-i18n-title attribute (tooltips)
+    document.querySelectorAll('[data-i18n-title]').forEach(el => {
+        el.title = t(el.dataset.i18nTitle);
+    });
+
     // Update page title
     document.title = `trade.xyz Tracker | ${t('pageTitle')}`;
 
@@ -272,19 +519,12 @@ function updateAllTranslations() {
  * Update category tab labels
  */
 function updateCategoryTabs() {
-    const tabMappings = {
-        'all': 'all',
-        'equities': 'equities',
-        'commodities': 'commodities',
-        'forex': 'forex',
-        'index': 'index'
-    };
-
-    document.querySelectorAll('.category-tab').forEach(tab => {
-        const category = tab.dataset.category;
-        if (tabMappings[category]) {
-            const emoji = tab.textContent.split(' ')[0]; // Keep emoji
-            tab.textContent = `${emoji} ${t(tabMappings[category])}`;
+    // Category ids double as translation keys
+    document.querySelectorAll('.category-tab, .hip3-filter-btn').forEach(tab => {
+        const category = tab.dataset.category || tab.dataset.hip3Category;
+        if (category) {
+            const emoji = tab.textContent.trim().split(' ')[0]; // Keep emoji
+            tab.textContent = `${emoji} ${t(category)}`;
         }
     });
 }
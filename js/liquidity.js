@@ -0,0 +1,232 @@
+/**
+ * Liquidity Analytics for trade.xyz Tracker
+ * Market impact estimates (average fill, slippage versus mid, levels consumed)
+ * and a monitor of spread and depth over time, both built on l2Book snapshots
+ *
+ * l2Book only returns the top 20 levels per side, so a large order can run
+ * past the visible book. Such estimates are flagged as incomplete rather than
+ * extrapolated.
+ */
+
+// Order sizes (USD notional) of the impact table
+const IMPACT_SIZES = [10000, 50000, 250000, 1000000];
+
+/**
+ * Estimate the execution of a market order against a book
+ * side: 'buy' (takes asks) or 'sell' (takes bids)
+ * amount: { notional } in USD or { size } in coins
+ */
+function estimateImpact(book, side, amount) {
+  const spread = OrderBook.getSpread(book);
+  if (!spread) return null;
+
+  const levels = side === 'buy' ? book.levels[1] : book.levels[0];
+  const byNotional = amount.notional !== undefined;
+  let remaining = byNotional ? amount.notional : amount.size;
+
+  const consumed = [];
+  let filledSize = 0;
+  let filledNotional = 0;
+
+  for (const level of levels) {
+    if (remaining <= 0) break;
+
+    const px = parseFloat(level.px);
+    const available = parseFloat(level.sz);
+    const size = byNotional ? Math.min(available, remaining / px) : Math.min(available, remaining);
+
+    consumed.push({ px, sz: size, partial: size < available });
+    filledSize += size;
+    filledNotional += size * px;
+    remaining -= byNotional ? size * px : size;
+  }
+
+  // Float dust from the division above should not mark an order as unfilled
+  const complete = remaining <= (byNotional ? 0.01 : 1e-9);
+  const avgPrice = filledSize > 0 ? filledNotional / filledSize : null;
+  const direction = side === 'buy' ? 1 : -1;
+
+  return {
+    side,
+    mid: spread.mid,
+    avgPrice,
+    worstPrice: consumed.length > 0 ? consumed[consumed.length - 1].px : null,
+    // Positive = cost paid versus mid, for either side
+    slippageBps: avgPrice !== null ? (avgPrice - spread.mid) / spread.mid * 10000 * direction : null,
+    filledSize,
+    filledNotional,
+    levelsConsumed: consumed.length,
+    levels: consumed,
+    complete
+  };
+}
+
+/**
+ * Buy and sell impact for each standard size, plus the quoted spread
+ */
+function getImpactProfile(book) {
+  const spread = OrderBook.getSpread(book);
+  if (!spread) return null;
+
+  const impacts = {};
+  IMPACT_SIZES.forEach(notional => {
+    const buy = estimateImpact(book, 'buy', { notional });
+    const sell = estimateImpact(book, 'sell', { notional });
+    impacts[notional] = {
+      buy,
+      sell,
+      // Average cost of both sides, or null when the book is too thin to tell
+      bps: buy.complete && sell.complete ? (buy.slippageBps + sell.slippageBps) / 2 : null
+    };
+  });
+
+  return { spreadBps: spread.bps, mid: spread.mid, impacts };
+}
+
+/**
+ * Fetch the books of a list of markets
+ * Markets whose book fails to load are left out
+ */
+async function loadBooks(coins) {
+  const results = await Promise.allSettled(
+    coins.map(coin => HyperliquidAPI.getL2Book(coin, { priority: 'low' }))
+  );
+
+  const books = [];
+  results.forEach((result, i) => {
+    if (result.status === 'fulfilled' && result.value && result.value.levels) {
+      books.push(result.value);
+    } else {
+      console.error(`Failed to load order book for ${coins[i]}:`, result.reason);
+    }
+  });
+
+  return books;
+}
+
+// ============================================
+// LIQUIDITY MONITOR
+// ============================================
+
+// Depth bands around the mid, in percent
+const DEPTH_BANDS = [1, 2];
+
+// How long snapshots are kept, and the window the current one is compared against
+const LIQUIDITY_HISTORY_WINDOW = 6 * 60 * 60 * 1000;
+const LIQUIDITY_BASELINE_WINDOW = 60 * 60 * 1000;
+const LIQUIDITY_MIN_BASELINE_SAMPLES = 5;
+
+// Depth below this share of the baseline (or spread above its inverse) counts as a drop
+const LIQUIDITY_DROP_RATIO = 0.5;
+
+// Snapshots per coin, oldest first (in memory, so history starts with the session)
+const liquidityHistory = new Map();
+
+/**
+ * USD resting on one side of the book within pct of the mid
+ * truncated: every visible level is inside the band, so the real depth may be larger
+ */
+function getDepthWithin(levels, mid, pct, side) {
+  const bound = side === 'bid' ? mid * (1 - pct / 100) : mid * (1 + pct / 100);
+  let usd = 0;
+  let inside = 0;
+
+  levels.forEach(level => {
+    const px = parseFloat(level.px);
+    if (side === 'bid' ? px >= bound : px <= bound) {
+      usd += px * parseFloat(level.sz);
+      inside++;
+    }
+  });
+
+  return { usd, truncated: inside > 0 && inside === levels.length };
+}
+
+/**
+ * Spread, top-of-book size and banded depth of a book at one point in time
+ */
+function getLiquiditySnapshot(book) {
+  const spread = OrderBook.getSpread(book);
+  if (!spread) return null;
+
+  const [bids, asks] = book.levels;
+  const depth = {};
+  DEPTH_BANDS.forEach(pct => {
+    const bid = getDepthWithin(bids, spread.mid, pct, 'bid');
+    const ask = getDepthWithin(asks, spread.mid, pct, 'ask');
+    depth[pct] = { usd: bid.usd + ask.usd, bid: bid.usd, ask: ask.usd, truncated: bid.truncated || ask.truncated };
+  });
+
+  return {
+    time: book.time || Date.now(),
+    mid: spread.mid,
+    spreadBps: spread.bps,
+    topBidUsd: parseFloat(bids[0].px) * parseFloat(bids[0].sz),
+    topAskUsd: parseFloat(asks[0].px) * parseFloat(asks[0].sz),
+    depth
+  };
+}
+
+/**
+ * Add a snapshot to a coin's history, dropping samples past the history window
+ */
+function recordLiquidity(coin, snapshot) {
+  const history = liquidityHistory.get(coin) || [];
+  history.push(snapshot);
+
+  const cutoff = snapshot.time - LIQUIDITY_HISTORY_WINDOW;
+  while (history.length > 0 && history[0].time < cutoff) {
+    history.shift();
+  }
+  liquidityHistory.set(coin, history);
+}
+
+function getLiquidityHistory(coin) {
+  return liquidityHistory.get(coin) || [];
+}
+
+function medianValue(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Compare the latest snapshot with the median of the previous hour
+ * Returns null until there are enough earlier samples to judge
+ */
+function getLiquidityChange(coin) {
+  const history = getLiquidityHistory(coin);
+  if (history.length === 0) return null;
+
+  const latest = history[history.length - 1];
+  const baseline = history
+    .slice(0, -1)
+    .filter(snapshot => snapshot.time >= latest.time - LIQUIDITY_BASELINE_WINDOW);
+  if (baseline.length < LIQUIDITY_MIN_BASELINE_SAMPLES) return null;
+
+  const baseDepth = medianValue(baseline.map(snapshot => snapshot.depth[1].usd));
+  const baseSpread = medianValue(baseline.map(snapshot => snapshot.spreadBps));
+  const depthRatio = baseDepth > 0 ? latest.depth[1].usd / baseDepth : null;
+  const spreadRatio = baseSpread > 0 ? latest.spreadBps / baseSpread : null;
+
+  return {
+    depthRatio,
+    spreadRatio,
+    dropped: (depthRatio !== null && depthRatio < LIQUIDITY_DROP_RATIO) ||
+      (spreadRatio !== null && spreadRatio > 1 / LIQUIDITY_DROP_RATIO)
+  };
+}
+
+// Export
+window.Liquidity = {
+  IMPACT_SIZES,
+  estimateImpact,
+  DEPTH_BANDS,
+  getImpactProfile,
+  loadBooks,
+  getLiquiditySnapshot,
+  recordLiquidity,
+  getLiquidityHistory,
+  getLiquidityChange
+};
@@ -0,0 +1,606 @@
+/**
+ * Market Detail Panel for trade.xyz Tracker
+ * Candles, live order book, trade tape, funding history and stats for one market
+ */
+
+// Candle intervals offered in the panel and how much history each loads
+const DETAIL_INTERVALS = {
+    '5m': 12 * 60 * 60 * 1000,
+    '15m': 2 * 24 * 60 * 60 * 1000,
+    '1h': 7 * 24 * 60 * 60 * 1000,
+    '4h': 30 * 24 * 60 * 60 * 1000,
+    '1d': 180 * 24 * 60 * 60 * 1000
+};
+const DETAIL_DEFAULT_INTERVAL = '1h';
+
+const DETAIL_TAPE_SIZE = 50;
+const DETAIL_FUNDING_WINDOW = 7 * 24 * 60 * 60 * 1000;
+
+const CANDLE_UP_COLOR = '#10b981';
+const CANDLE_DOWN_COLOR = '#ef4444';
+
+const savedDetailInterval = localStorage.getItem('detailInterval');
+
+// Panel state - asset is null while the panel is closed
+const detailState = {
+    asset: null,
+    interval: savedDetailInterval in DETAIL_INTERVALS ? savedDetailInterval : DETAIL_DEFAULT_INTERVAL,
+    trades: [],
+    candleChart: null,
+    fundingChart: null,
+    book: null,
+    // Disposers of the panel's WebSocket listeners
+    listeners: []
+};
+
+/**
+ * Open the detail panel for a market
+ */
+function openMarketDetail(asset) {
+    if (detailState.asset) {
+        closeMarketDetail();
+    }
+
+    const overlay = document.getElementById('marketDetail');
+    if (!overlay) return;
+
+    detailState.asset = asset;
+    detailState.trades = [];
+
+    renderDetailShell(asset);
+    overlay.classList.add('open');
+    document.body.classList.add('detail-open');
+
+    detailState.listeners = [
+        wsManager.on('trades', { coin: asset }, handleDetailTrades),
+        // Trades missed while the socket was down are merged back into the tape
+        wsManager.on('connect', ({ reconnected }) => {
+            if (reconnected) loadDetailTape(asset);
+        })
+    ];
+
+    loadDetailStats(asset);
+    loadDetailCandles(asset, detailState.interval);
+    loadDetailBook(asset);
+    loadDetailTape(asset);
+    loadDetailFunding(asset);
+}
+
+/**
+ * Close the panel, dropping its live subscriptions and charts
+ */
+function closeMarketDetail() {
+    const asset = detailState.asset;
+    if (!asset) return;
+
+    detailState.listeners.forEach(dispose => dispose());
+    detailState.listeners = [];
+
+    if (detailState.book) {
+        detailState.book.destroy();
+        detailState.book = null;
+    }
+    if (detailState.candleChart) {
+        detailState.candleChart.destroy();
+        detailState.candleChart = null;
+    }
+    if (detailState.fundingChart) {
+        detailState.fundingChart.destroy();
+        detailState.fundingChart = null;
+    }
+
+    detailState.asset = null;
+    detailState.trades = [];
+
+    const overlay = document.getElementById('marketDetail');
+    if (overlay) overlay.classList.remove('open');
+    document.body.classList.remove('detail-open');
+}
+
+/**
+ * Whether a response still belongs to the market on screen
+ */
+function isDetailCurrent(asset) {
+    return detailState.asset === asset;
+}
+
+/**
+ * Render the panel layout; each section fills itself in as its data arrives
+ */
+function renderDetailShell(asset) {
+    const panel = document.getElementById('marketDetailPanel');
+    if (!panel) return;
+
+    const symbol = HyperliquidAPI.getSymbol(asset);
+    const category = HyperliquidAPI.getAssetCategory(asset);
+
+    const intervalButtons = Object.keys(DETAIL_INTERVALS).map(interval => `
+        <button class="detail-interval-btn ${interval === detailState.interval ? 'active' : ''}"
+            data-interval="${interval}">${interval}</button>
+    `).join('');
+
+    panel.innerHTML = `
+        <div class="detail-header">
+            <div class="market-header">
+                <div class="market-icon">${symbol.slice(0, 2)}</div>
+                <div>
+                    <div class="market-name">
+                        ${symbol} <span class="dex-tag">${HyperliquidAPI.getCoinDex(asset)}</span>
+                    </div>
+                    <div class="market-symbol text-secondary">${Components.getCategoryLabel(category)}</div>
+                </div>
+            </div>
+            <div class="detail-header-price">
+                <span class="market-price" id="detailPrice">—</span>
+                <span class="market-change neutral" id="detailChange">—</span>
+            </div>
+            <button class="detail-close" id="detailClose" title="${i18n.t('close')}">✕</button>
+        </div>
+
+        <div class="analytics-stats detail-stats" id="detailStats"></div>
+
+        <div class="detail-grid">
+            <div class="detail-main">
+                <div class="detail-section">
+                    <div class="detail-section-header">
+                        <h4>${i18n.t('priceChart')}</h4>
+                        <div class="detail-intervals" id="detailIntervals">${intervalButtons}</div>
+                    </div>
+                    <div class="detail-chart-container">
+                        <canvas id="detailCandleChart"></canvas>
+                    </div>
+                </div>
+
+                <div class="detail-section">
+                    <div class="detail-section-header">
+                        <h4>${i18n.t('fundingHistory')}</h4>
+                        <span class="text-secondary" id="detailFundingAvg"></span>
+                    </div>
+                    <div class="detail-chart-container detail-chart-small">
+                        <canvas id="detailFundingChart"></canvas>
+                    </div>
+                </div>
+            </div>
+
+            <div class="detail-side">
+                <div class="detail-section">
+                    <div class="detail-section-header">
+                        <h4>${i18n.t('orderBook')}</h4>
+                    </div>
+                    <div id="detailBook">
+                        <div class="loading"><div class="spinner"></div></div>
+                    </div>
+                </div>
+
+                <div class="detail-section">
+                    <div class="detail-section-header">
+                        <h4>${i18n.t('tradeTape')}</h4>
+                    </div>
+                    <div class="detail-tape" id="detailTape">
+                        <div class="loading"><div class="spinner"></div></div>
+                    </div>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+// ============================================
+// STATS
+// ============================================
+
+/**
+ * Load meta and asset context stats for the market's DEX
+ */
+async function loadDetailStats(asset) {
+    try {
+        const dex = HyperliquidAPI.getCoinDex(asset);
+        const metaAndCtxs = await HyperliquidAPI.getMetaAndAssetCtxs(dex);
+        if (!isDetailCurrent(asset)) return;
+
+        const market = HyperliquidAPI.processHip3Analytics(metaAndCtxs, dex)
+            .find(m => m.fullName === asset);
+        if (market) {
+            renderDetailStats(asset, market);
+        }
+    } catch (error) {
+        console.error('Failed to load market stats:', error);
+    }
+}
+
+function renderDetailStats(asset, market) {
+    const container = document.getElementById('detailStats');
+    if (!container) return;
+
+    const stats = [
+        [i18n.t('markPrice'), `$${HyperliquidAPI.formatPrice(market.markPrice, asset)}`],
+        [i18n.t('totalVolume24h'), market.volume24hFormatted],
+        [i18n.t('totalOpenInterest'), market.openInterestFormatted],
+        ['Funding', market.fundingFormatted],
+        ['Premium', market.premiumFormatted],
+        [i18n.t('maxLeverage'), `${market.maxLeverage}x`]
+    ];
+
+    container.innerHTML = stats.map(([label, value]) => `
+        <div class="analytics-stat">
+            <div class="analytics-stat-label">${label}</div>
+            <div class="analytics-stat-value">${value}</div>
+        </div>
+    `).join('');
+
+    updateDetailPrice(market.markPrice);
+
+    const changeEl = document.getElementById('detailChange');
+    if (changeEl) {
+        changeEl.textContent = market.change24hFormatted;
+        changeEl.className = `market-change ${market.change24h >= 0 ? 'positive' : 'negative'}`;
+    }
+}
+
+function updateDetailPrice(price) {
+    const priceEl = document.getElementById('detailPrice');
+    if (priceEl) {
+        const oldPrice = parseFloat(priceEl.dataset.price);
+        Components.updatePriceElement(priceEl, price, oldPrice, detailState.asset);
+    }
+}
+
+// ============================================
+// CANDLES
+// ============================================
+
+/**
+ * Load candles for an interval and (re)draw the chart
+ */
+async function loadDetailCandles(asset, interval) {
+    try {
+        const startTime = Math.floor((Date.now() - DETAIL_INTERVALS[interval]) / 60000) * 60000;
+        const candles = await HyperliquidAPI.getCandles(asset, interval, startTime);
+        if (!isDetailCurrent(asset) || detailState.interval !== interval) return;
+
+        renderCandleChart(asset, interval, candles || []);
+    } catch (error) {
+        console.error('Failed to load candles:', error);
+    }
+}
+
+/**
+ * Candle time label: time of day for intraday intervals, date otherwise
+ */
+function formatCandleLabel(time, interval) {
+    const date = new Date(time);
+    if (interval === '1d') {
+        return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    }
+    return date.toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', hour12: false });
+}
+
+/**
+ * Draw candles as floating bars: a thin high-low wick behind an open-close body
+ */
+function renderCandleChart(asset, interval, candles) {
+    const ctx = document.getElementById('detailCandleChart');
+    if (!ctx) return;
+
+    if (detailState.candleChart) {
+        detailState.candleChart.destroy();
+    }
+
+    const ohlc = candles.map(c => ({
+        open: parseFloat(c.o),
+        high: parseFloat(c.h),
+        low: parseFloat(c.l),
+        close: parseFloat(c.c),
+        volume: parseFloat(c.v)
+    }));
+    const colors = ohlc.map(c => c.close >= c.open ? CANDLE_UP_COLOR : CANDLE_DOWN_COLOR);
+
+    detailState.candleChart = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: candles.map(c => formatCandleLabel(c.t, interval)),
+            datasets: [
+                {
+                    label: 'OHLC',
+                    data: ohlc.map(c => [c.open, c.close]),
+                    backgroundColor: colors,
+                    barPercentage: 0.8,
+                    minBarLength: 1,
+                    grouped: false,
+                    order: 1
+                },
+                {
+                    label: 'Wick',
+                    data: ohlc.map(c => [c.low, c.high]),
+                    backgroundColor: colors,
+                    barPercentage: 0.12,
+                    grouped: false,
+                    order: 2
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: false,
+            interaction: {
+                mode: 'index',
+                intersect: false
+            },
+            plugins: {
+                legend: {
+                    display: false
+                },
+                tooltip: {
+                    backgroundColor: 'rgba(10, 10, 15, 0.95)',
+                    borderColor: 'rgba(255, 255, 255, 0.1)',
+                    borderWidth: 1,
+                    titleColor: '#fff',
+                    bodyColor: '#a0a0b0',
+                    padding: 12,
+                    filter: item => item.datasetIndex === 0,
+                    callbacks: {
+                        label: function (context) {
+                            const c = ohlc[context.dataIndex];
+                            const fmt = value => HyperliquidAPI.formatPrice(value, asset);
+                            return [
+                                `O ${fmt(c.open)}  H ${fmt(c.high)}`,
+                                `L ${fmt(c.low)}  C ${fmt(c.close)}`,
+                                `Vol ${HyperliquidAPI.formatNumber(c.volume)}`
+                            ];
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    grid: {
+                        display: false
+                    },
+                    ticks: {
+                        color: '#606070',
+                        maxRotation: 0,
+                        autoSkip: true,
+                        maxTicksLimit: 8
+                    }
+                },
+                y: {
+                    beginAtZero: false,
+                    position: 'right',
+                    grid: {
+                        color: 'rgba(255, 255, 255, 0.05)'
+                    },
+                    ticks: {
+                        color: '#606070',
+                        callback: function (value) {
+                            return HyperliquidAPI.formatPrice(value, asset);
+                        }
+                    }
+                }
+            }
+        }
+    });
+}
+
+// ============================================
+// ORDER BOOK
+// ============================================
+
+/**
+ * Mount an order book view; it follows live updates until the panel closes
+ */
+function loadDetailBook(asset) {
+    const container = document.getElementById('detailBook');
+    if (!container) return;
+
+    detailState.book = OrderBook.create(container);
+    detailState.book.setCoin(asset);
+}
+
+// ============================================
+// TRADE TAPE
+// ============================================
+
+/**
+ * Seed the tape with recent trades; live trades are added by handleDetailTrades
+ * (the trade stream of every tracked market is already open, see subscribeAllTrades)
+ */
+async function loadDetailTape(asset) {
+    try {
+        const trades = await HyperliquidAPI.getRecentTrades(asset);
+        if (!isDetailCurrent(asset)) return;
+
+        // Keep live trades that arrived while the snapshot was loading
+        const known = new Set(detailState.trades.map(t => t.tid));
+        const seed = (trades || []).filter(t => !known.has(t.tid));
+        detailState.trades = [...detailState.trades, ...seed]
+            .sort((a, b) => b.time - a.time)
+            .slice(0, DETAIL_TAPE_SIZE);
+        renderDetailTape(asset);
+    } catch (error) {
+        console.error('Failed to load recent trades:', error);
+    }
+}
+
+function renderDetailTape(asset) {
+    const container = document.getElementById('detailTape');
+    if (!container) return;
+
+    if (detailState.trades.length === 0) {
+        Components.showEmptyState(container, i18n.t('noRecentTrades'));
+        return;
+    }
+
+    container.innerHTML = detailState.trades.map(trade => {
+        const isBuy = trade.side === 'B';
+        return `
+            <div class="tape-row ${isBuy ? 'bid' : 'ask'}">
+                <span class="text-secondary">${HyperliquidAPI.formatTime(trade.time)}</span>
+                <span class="tape-price">${HyperliquidAPI.formatPrice(trade.px, asset)}</span>
+                <span>${HyperliquidAPI.formatSize(trade.sz, asset)}</span>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Live trades from the WebSocket feed
+ */
+function handleDetailTrades(trades) {
+    const asset = detailState.asset;
+    if (!asset) return;
+
+    // Already narrowed to the panel's market by the listener filter
+    const list = Array.isArray(trades) ? [...trades] : [trades];
+
+    detailState.trades = [...list.reverse(), ...detailState.trades].slice(0, DETAIL_TAPE_SIZE);
+    renderDetailTape(asset);
+    updateDetailPrice(detailState.trades[0].px);
+}
+
+// ============================================
+// FUNDING
+// ============================================
+
+async function loadDetailFunding(asset) {
+    try {
+        const history = await HyperliquidAPI.getFundingHistory(asset, Date.now() - DETAIL_FUNDING_WINDOW);
+        if (!isDetailCurrent(asset)) return;
+        renderFundingChart(history || []);
+    } catch (error) {
+        console.error('Failed to load funding history:', error);
+    }
+}
+
+/**
+ * Hourly funding rate over the last week, as a percentage
+ */
+function renderFundingChart(history) {
+    const ctx = document.getElementById('detailFundingChart');
+    if (!ctx) return;
+
+    if (detailState.fundingChart) {
+        detailState.fundingChart.destroy();
+    }
+
+    const rates = history.map(entry => parseFloat(entry.fundingRate));
+    const average = rates.length > 0 ? rates.reduce((sum, rate) => sum + rate, 0) / rates.length : 0;
+
+    const avgEl = document.getElementById('detailFundingAvg');
+    if (avgEl) {
+        avgEl.textContent = `${i18n.t('average')}: ${HyperliquidAPI.formatFundingRate(average)}`;
+    }
+
+    detailState.fundingChart = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: history.map(entry => formatCandleLabel(entry.time, '1h')),
+            datasets: [{
+                label: 'Funding',
+                data: rates.map(rate => rate * 100),
+                borderColor: '#00d4ff',
+                backgroundColor: 'rgba(0, 212, 255, 0.1)',
+                borderWidth: 1.5,
+                fill: true
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: false,
+            interaction: {
+                mode: 'index',
+                intersect: false
+            },
+            plugins: {
+                legend: {
+                    display: false
+                },
+                tooltip: {
+                    backgroundColor: 'rgba(10, 10, 15, 0.95)',
+                    borderColor: 'rgba(255, 255, 255, 0.1)',
+                    borderWidth: 1,
+                    titleColor: '#fff',
+                    bodyColor: '#a0a0b0',
+                    padding: 12,
+                    callbacks: {
+                        label: function (context) {
+                            return `Funding: ${HyperliquidAPI.formatFundingRate(rates[context.dataIndex])}`;
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    grid: {
+                        display: false
+                    },
+                    ticks: {
+                        color: '#606070',
+                        maxRotation: 0,
+                        autoSkip: true,
+                        maxTicksLimit: 7
+                    }
+                },
+                y: {
+                    grid: {
+                        color: 'rgba(255, 255, 255, 0.05)'
+                    },
+                    ticks: {
+                        color: '#606070',
+                        callback: function (value) {
+                            return value.toFixed(4) + '%';
+                        }
+                    }
+                }
+            },
+            elements: {
+                point: {
+                    radius: 0
+                }
+            }
+        }
+    });
+}
+
+// ============================================
+// LISTENERS
+// ============================================
+
+/**
+ * Panel listeners (the panel content is re-rendered, so listen on the overlay)
+ */
+function setupDetailListeners() {
+    const overlay = document.getElementById('marketDetail');
+    if (!overlay) return;
+
+    overlay.addEventListener('click', (e) => {
+        // Click on the backdrop or the close button
+        if (e.target === overlay || e.target.closest('#detailClose')) {
+            closeMarketDetail();
+            return;
+        }
+
+        const intervalBtn = e.target.closest('.detail-interval-btn');
+        if (intervalBtn && detailState.asset) {
+            detailState.interval = intervalBtn.dataset.interval;
+            localStorage.setItem('detailInterval', detailState.interval);
+            overlay.querySelectorAll('.detail-interval-btn').forEach(btn => {
+                btn.classList.toggle('active', btn === intervalBtn);
+            });
+            loadDetailCandles(detailState.asset, detailState.interval);
+        }
+    });
+
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') closeMarketDetail();
+    });
+}
+
+document.addEventListener('DOMContentLoaded', setupDetailListeners);
+
+// Export
+window.MarketDetail = {
+    open: openMarketDetail,
+    close: closeMarketDetail
+};
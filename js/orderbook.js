@@ -0,0 +1,383 @@
+/**
+ * Order Book Component for trade.xyz Tracker
+ * Grouped price levels, cumulative depth, spread in bps and a depth chart,
+ * fed by l2Book snapshots and live WebSocket updates
+ */
+
+const BOOK_DISPLAY_LEVELS = 10;
+
+// Grouping steps offered, as multiples of the book's tick size
+const BOOK_GROUPING_MULTIPLIERS = [1, 5, 10, 50, 100];
+
+const BOOK_BID_COLOR = '#10b981';
+const BOOK_ASK_COLOR = '#ef4444';
+
+const savedBookGrouping = parseInt(localStorage.getItem('bookGrouping'), 10);
+
+// Number of views watching each coin, so a shared subscription is only dropped by the last one
+const bookSubscribers = new Map();
+
+function retainBookSubscription(coin) {
+  const count = bookSubscribers.get(coin) || 0;
+  if (count === 0) {
+    wsManager.subscribeL2Book(coin);
+  }
+  bookSubscribers.set(coin, count + 1);
+}
+
+function releaseBookSubscription(coin) {
+  const count = bookSubscribers.get(coin) || 0;
+  if (count <= 1) {
+    bookSubscribers.delete(coin);
+    wsManager.unsubscribe({ type: 'l2Book', coin });
+  } else {
+    bookSubscribers.set(coin, count - 1);
+  }
+}
+
+/**
+ * Number of decimals in a price string ("180.25" -> 2)
+ */
+function countPriceDecimals(px) {
+  const text = String(px);
+  const dot = text.indexOf('.');
+  return dot === -1 ? 0 : text.length - dot - 1;
+}
+
+/**
+ * Smallest price increment quoted in a book, read from its level prices
+ */
+function getBookTick(book) {
+  const levels = book && book.levels ? [...book.levels[0], ...book.levels[1]] : [];
+  const decimals = levels.reduce((max, level) => Math.max(max, countPriceDecimals(level.px)), 0);
+  return Math.pow(10, -decimals);
+}
+
+/**
+ * Merge levels into price buckets of `step`: bids round down, asks round up,
+ * so a bucket never looks better than the orders inside it
+ */
+function groupLevels(levels, step, side) {
+  const decimals = countPriceDecimals(Number(step.toFixed(10)));
+  const groups = [];
+
+  levels.forEach(level => {
+    const px = parseFloat(level.px);
+    const ratio = px / step;
+    const bucket = side === 'bid' ? Math.floor(ratio + 1e-9) : Math.ceil(ratio - 1e-9);
+    const price = Number((bucket * step).toFixed(decimals));
+
+    const last = groups[groups.length - 1];
+    if (last && last.price === price) {
+      last.size += parseFloat(level.sz);
+      last.orders += level.n;
+    } else {
+      groups.push({ price, size: parseFloat(level.sz), orders: level.n });
+    }
+  });
+
+  return groups;
+}
+
+/**
+ * Add a running total of size and notional, best price first
+ */
+function addCumulativeDepth(groups) {
+  let total = 0;
+  let notional = 0;
+  return groups.map(group => {
+    total += group.size;
+    notional += group.size * group.price;
+    return { ...group, total, notional };
+  });
+}
+
+/**
+ * Best bid/ask, mid and spread (absolute and in basis points of the mid)
+ */
+function getBookSpread(book) {
+  const [bids, asks] = book && book.levels ? book.levels : [[], []];
+  if (bids.length === 0 || asks.length === 0) return null;
+
+  const bestBid = parseFloat(bids[0].px);
+  const bestAsk = parseFloat(asks[0].px);
+  const mid = (bestBid + bestAsk) / 2;
+  const spread = bestAsk - bestBid;
+
+  return { bestBid, bestAsk, mid, spread, bps: mid > 0 ? spread / mid * 10000 : 0 };
+}
+
+/**
+ * Create an order book view inside a container
+ * options.levels: rows shown per side (default BOOK_DISPLAY_LEVELS)
+ * options.depthChart: draw the depth chart under the table (default true)
+ */
+function createOrderBookView(container, options = {}) {
+  const view = {
+    coin: null,
+    book: null,
+    // Disposer of the live l2Book listener for `coin`
+    stopListening: null,
+    multiplier: BOOK_GROUPING_MULTIPLIERS.includes(savedBookGrouping) ? savedBookGrouping : 1,
+    levels: options.levels || BOOK_DISPLAY_LEVELS,
+    showDepthChart: options.depthChart !== false,
+    chart: null
+  };
+
+  container.innerHTML = `
+    <div class="book-toolbar">
+      <label class="book-grouping text-secondary">
+        ${i18n.t('grouping')}
+        <select class="book-grouping-select" data-role="grouping"></select>
+      </label>
+    </div>
+    <div class="book-levels" data-role="levels">
+      <div class="loading"><div class="spinner"></div></div>
+    </div>
+    ${view.showDepthChart ? `
+      <div class="book-depth-chart">
+        <canvas data-role="depth"></canvas>
+      </div>
+    ` : ''}
+  `;
+
+  const groupingEl = container.querySelector('[data-role="grouping"]');
+  const levelsEl = container.querySelector('[data-role="levels"]');
+  const depthCanvas = container.querySelector('[data-role="depth"]');
+
+  groupingEl.addEventListener('change', () => {
+    view.multiplier = parseInt(groupingEl.value, 10);
+    localStorage.setItem('bookGrouping', view.multiplier);
+    render();
+  });
+
+  /**
+   * Switch the view to another market, moving the live subscription with it
+   */
+  async function setCoin(coin) {
+    if (coin === view.coin) return;
+
+    stopLiveUpdates();
+
+    view.coin = coin;
+    view.book = null;
+    levelsEl.innerHTML = '<div class="loading"><div class="spinner"></div></div>';
+    if (!coin) return;
+
+    retainBookSubscription(coin);
+    view.stopListening = wsManager.on('l2Book', { coin }, update);
+
+    try {
+      const book = await HyperliquidAPI.getL2Book(coin);
+      // A live update may have arrived first; never replace it with an older snapshot
+      if (view.coin === coin && book && (!view.book || book.time >= view.book.time)) {
+        update(book);
+      }
+    } catch (error) {
+      console.error('Failed to load order book:', error);
+    }
+  }
+
+  function stopLiveUpdates() {
+    if (!view.coin) return;
+    view.stopListening();
+    view.stopListening = null;
+    releaseBookSubscription(view.coin);
+  }
+
+  function update(book) {
+    if (!book || !book.levels || book.coin !== view.coin) return;
+    view.book = book;
+    render();
+  }
+
+  function render() {
+    if (!view.book) return;
+
+    const coin = view.coin;
+    const tick = getBookTick(view.book);
+    const step = tick * view.multiplier;
+    const [rawBids, rawAsks] = view.book.levels;
+
+    renderGroupingOptions(tick);
+
+    const bids = addCumulativeDepth(groupLevels(rawBids, step, 'bid')).slice(0, view.levels);
+    const asks = addCumulativeDepth(groupLevels(rawAsks, step, 'ask')).slice(0, view.levels);
+    const maxTotal = Math.max(
+      bids.length > 0 ? bids[bids.length - 1].total : 0,
+      asks.length > 0 ? asks[asks.length - 1].total : 0
+    );
+
+    const spread = getBookSpread(view.book);
+    const spreadText = spread
+      ? `${HyperliquidAPI.formatPrice(spread.spread, coin)} (${spread.bps.toFixed(1)} bps)`
+      : '—';
+
+    const levelRow = (level, side) => `
+      <div class="book-row ${side}" title="$${HyperliquidAPI.formatNumber(level.notional)}">
+        <div class="book-depth-bar" style="width: ${maxTotal > 0 ? (level.total / maxTotal * 100).toFixed(1) : 0}%"></div>
+        <span class="book-price">${HyperliquidAPI.formatPrice(level.price, coin)}</span>
+        <span class="book-size">${HyperliquidAPI.formatSize(level.size, coin)}</span>
+        <span class="book-total text-secondary">${HyperliquidAPI.formatSize(level.total, coin)}</span>
+      </div>
+    `;
+
+    levelsEl.innerHTML = `
+      <div class="book-row book-header text-secondary">
+        <span>${i18n.t('price')}</span>
+        <span>${i18n.t('size')}</span>
+        <span>${i18n.t('total')}</span>
+      </div>
+      ${asks.slice().reverse().map(level => levelRow(level, 'ask')).join('')}
+      <div class="book-spread text-secondary">${i18n.t('spread')}: ${spreadText}</div>
+      ${bids.map(level => levelRow(level, 'bid')).join('')}
+    `;
+
+    if (view.showDepthChart) {
+      renderDepthChart(rawBids, rawAsks);
+    }
+  }
+
+  /**
+   * Grouping choices depend on the market's tick, so rebuild them when it changes
+   */
+  function renderGroupingOptions(tick) {
+    const key = `${view.coin}:${tick}`;
+    if (groupingEl.dataset.key === key) return;
+    groupingEl.dataset.key = key;
+
+    const decimals = countPriceDecimals(Number(tick.toFixed(10)));
+    groupingEl.innerHTML = BOOK_GROUPING_MULTIPLIERS.map(multiplier => {
+      const labelDecimals = Math.max(0, decimals - Math.floor(Math.log10(multiplier)));
+      const label = (tick * multiplier).toFixed(labelDecimals);
+      return `<option value="${multiplier}" ${multiplier === view.multiplier ? 'selected' : ''}>${label}</option>`;
+    }).join('');
+  }
+
+  /**
+   * Cumulative size on each side of the mid, using every level in the book.
+   * The chart is created once per view and only has its data swapped afterwards.
+   */
+  function renderDepthChart(rawBids, rawAsks) {
+    if (!depthCanvas) return;
+
+    const toPoints = levels => {
+      let total = 0;
+      return levels.map(level => {
+        total += parseFloat(level.sz);
+        return { x: parseFloat(level.px), y: total };
+      });
+    };
+    const bidPoints = toPoints(rawBids).reverse();
+    const askPoints = toPoints(rawAsks);
+
+    if (view.chart) {
+      view.chart.data.datasets[0].data = bidPoints;
+      view.chart.data.datasets[1].data = askPoints;
+      view.chart.update('none');
+      return;
+    }
+
+    const dataset = (label, data, color, stepped) => ({
+      label,
+      data,
+      borderColor: color,
+      backgroundColor: `${color}33`,
+      borderWidth: 1.5,
+      fill: 'origin',
+      stepped,
+      pointRadius: 0
+    });
+
+    view.chart = new Chart(depthCanvas, {
+      type: 'line',
+      data: {
+        datasets: [
+          dataset(i18n.t('bidNotional'), bidPoints, BOOK_BID_COLOR, 'after'),
+          dataset(i18n.t('askNotional'), askPoints, BOOK_ASK_COLOR, 'before')
+        ]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: false,
+        interaction: {
+          mode: 'nearest',
+          intersect: false
+        },
+        plugins: {
+          legend: {
+            display: false
+          },
+          tooltip: {
+            backgroundColor: 'rgba(10, 10, 15, 0.95)',
+            borderColor: 'rgba(255, 255, 255, 0.1)',
+            borderWidth: 1,
+            titleColor: '#fff',
+            bodyColor: '#a0a0b0',
+            padding: 10,
+            callbacks: {
+              title: items => `$${HyperliquidAPI.formatPrice(items[0].parsed.x, view.coin)}`,
+              label: context => `${context.dataset.label}: ${HyperliquidAPI.formatSize(context.parsed.y, view.coin)}`
+            }
+          }
+        },
+        scales: {
+          x: {
+            type: 'linear',
+            grid: {
+              display: false
+            },
+            ticks: {
+              color: '#606070',
+              maxTicksLimit: 5,
+              callback: value => HyperliquidAPI.formatPrice(value, view.coin)
+            }
+          },
+          y: {
+            beginAtZero: true,
+            position: 'right',
+            grid: {
+              color: 'rgba(255, 255, 255, 0.05)'
+            },
+            ticks: {
+              color: '#606070',
+              maxTicksLimit: 4,
+              callback: value => HyperliquidAPI.formatNumber(value)
+            }
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Drop the subscription and chart; the view must not be used afterwards
+   */
+  function destroy() {
+    stopLiveUpdates();
+    view.coin = null;
+    view.book = null;
+
+    if (view.chart) {
+      view.chart.destroy();
+      view.chart = null;
+    }
+  }
+
+  return {
+    setCoin,
+    update,
+    destroy,
+    getCoin: () => view.coin
+  };
+}
+
+// Export
+window.OrderBook = {
+  create: createOrderBookView,
+  groupLevels,
+  addCumulativeDepth,
+  getSpread: getBookSpread,
+  getTick: getBookTick
+};
@@ -0,0 +1,269 @@
+/**
+ * Position-aware PNL engine for trade.xyz Tracker
+ *
+ * Replays fills in time order, tracking a signed position per asset so that
+ * shorts, partial closes and long/short flips are all accounted for.
+ * Realized PNL is computed with the selected cost-basis method, fees and
+ * funding payments are tracked separately (net = realized + funding - fees),
+ * and the result is reconciled against the exchange's own per-fill closedPnl
+ * (which uses average cost).
+ */
+
+const COST_BASIS_METHODS = ['fifo', 'lifo', 'average'];
+const DEFAULT_COST_BASIS = 'average';
+
+// Sizes below this are treated as a flat position (float noise from partial fills)
+const POSITION_EPSILON = 1e-9;
+
+/**
+ * Create an empty ledger for one asset
+ */
+function createAssetLedger() {
+  return {
+    position: 0,        // signed size, > 0 long, < 0 short
+    lots: [],           // open lots { price, size } in the position's direction
+    realizedPnl: 0,     // gross trade PNL (before fees)
+    fees: 0,
+    funding: 0,         // net funding, > 0 received, < 0 paid
+    fundingPayments: [],
+    exchangeClosedPnl: 0,
+    volume: 0,
+    trades: 0,
+    gaps: 0             // fills whose startPosition disagreed with the replay
+  };
+}
+
+/**
+ * Average entry price of the open lots
+ */
+function getAverageEntry(ledger) {
+  const size = ledger.lots.reduce((sum, lot) => sum + lot.size, 0);
+  if (size === 0) return 0;
+  return ledger.lots.reduce((sum, lot) => sum + lot.price * lot.size, 0) / size;
+}
+
+/**
+ * Add size to the open position
+ */
+function openLot(ledger, price, size, method) {
+  if (method === 'average' && ledger.lots.length > 0) {
+    const lot = ledger.lots[0];
+    const total = lot.size + size;
+    lot.price = (lot.price * lot.size + price * size) / total;
+    lot.size = total;
+  } else {
+    ledger.lots.push({ price, size });
+  }
+}
+
+/**
+ * Close up to `size` of the open position at `price`
+ * Returns the size that could not be matched against open lots
+ */
+function closeLots(ledger, price, size, method) {
+  const direction = Math.sign(ledger.position);
+  let remaining = size;
+
+  while (remaining > POSITION_EPSILON && ledger.lots.length > 0) {
+    const lot = method === 'lifo' ? ledger.lots[ledger.lots.length - 1] : ledger.lots[0];
+    const matched = Math.min(remaining, lot.size);
+
+    // Long: exit - entry, short: entry - exit
+    ledger.realizedPnl += (price - lot.price) * matched * direction;
+
+    lot.size -= matched;
+    remaining -= matched;
+
+    if (lot.size <= POSITION_EPSILON) {
+      if (method === 'lifo') {
+        ledger.lots.pop();
+      } else {
+        ledger.lots.shift();
+      }
+    }
+  }
+
+  return remaining;
+}
+
+/**
+ * Apply a single fill to an asset ledger
+ */
+function applyFillToLedger(ledger, fill, method) {
+  const price = parseFloat(fill.px);
+  const size = parseFloat(fill.sz);
+  const isBuy = fill.side === 'B' || fill.side === 'buy';
+  const signedSize = isBuy ? size : -size;
+
+  ledger.volume += price * size;
+  ledger.trades += 1;
+  ledger.fees += parseFloat(fill.fee || 0);
+  ledger.exchangeClosedPnl += parseFloat(fill.closedPnl || 0);
+
+  // The exchange reports the position before each fill; a mismatch means history is missing
+  if (fill.startPosition !== undefined) {
+    const reported = parseFloat(fill.startPosition);
+    if (Math.abs(reported - ledger.position) > POSITION_EPSILON) {
+      ledger.gaps += 1;
+
+      // Resync to the reported position; its entry is unknown, so the fill price stands in
+      ledger.position = Math.abs(reported) <= POSITION_EPSILON ? 0 : reported;
+      ledger.lots = ledger.position === 0 ? [] : [{ price, size: Math.abs(ledger.position) }];
+    }
+  }
+
+  const isReducing = ledger.position !== 0 && Math.sign(signedSize) !== Math.sign(ledger.position);
+
+  if (isReducing) {
+    const closing = Math.min(size, Math.abs(ledger.position));
+    closeLots(ledger, price, closing, method);
+
+    const flipped = size - closing;
+    ledger.position += signedSize;
+
+    if (Math.abs(ledger.position) <= POSITION_EPSILON) {
+      ledger.position = 0;
+      ledger.lots = [];
+    } else if (flipped > POSITION_EPSILON) {
+      // Closed through zero: the remainder opens a position on the other side
+      ledger.lots = [];
+      openLot(ledger, price, flipped, method);
+    }
+  } else {
+    openLot(ledger, price, size, method);
+    ledger.position += signedSize;
+  }
+}
+
+/**
+ * Summarize funding payments for one asset
+ */
+function summarizeFunding(payments) {
+  const rates = payments.map(p => p.rate);
+  return {
+    payments: payments.length,
+    total: payments.reduce((sum, p) => sum + p.usdc, 0),
+    received: payments.filter(p => p.usdc > 0).reduce((sum, p) => sum + p.usdc, 0),
+    paid: payments.filter(p => p.usdc < 0).reduce((sum, p) => sum + p.usdc, 0),
+    avgRate: rates.length > 0 ? rates.reduce((sum, r) => sum + r, 0) / rates.length : 0,
+    lastTime: payments.length > 0 ? Math.max(...payments.map(p => p.time)) : null
+  };
+}
+
+/**
+ * Create an incremental PNL book
+ * Fills must be applied in time order; summarize() can be called at any point
+ */
+function createPnlBook(method = DEFAULT_COST_BASIS) {
+  const costBasis = COST_BASIS_METHODS.includes(method) ? method : DEFAULT_COST_BASIS;
+  const ledgers = {};
+
+  const getLedger = coin => {
+    if (!ledgers[coin]) {
+      ledgers[coin] = createAssetLedger();
+    }
+    return ledgers[coin];
+  };
+
+  return {
+    method: costBasis,
+
+    applyFill(fill) {
+      if (!fill.coin) return;
+      applyFillToLedger(getLedger(fill.coin), fill, costBasis);
+    },
+
+    /**
+     * Apply a userFunding entry ({ time, delta: { coin, usdc, szi, fundingRate } })
+     */
+    applyFunding(entry) {
+      const delta = entry.delta;
+      if (!delta || !delta.coin) return;
+      const ledger = getLedger(delta.coin);
+      const usdc = parseFloat(delta.usdc || 0);
+      ledger.funding += usdc;
+      ledger.fundingPayments.push({
+        time: entry.time,
+        usdc,
+        size: parseFloat(delta.szi || 0),
+        rate: parseFloat(delta.fundingRate || 0)
+      });
+    },
+
+    summarize() {
+      const byAsset = {};
+      let totalRealizedPnl = 0;
+      let totalFees = 0;
+      let totalFunding = 0;
+      let totalVolume = 0;
+      let totalTrades = 0;
+      let exchangeClosedPnl = 0;
+      let gaps = 0;
+
+      Object.entries(ledgers).forEach(([asset, ledger]) => {
+        byAsset[asset] = {
+          realizedPnl: ledger.realizedPnl,
+          fees: ledger.fees,
+          funding: ledger.funding,
+          fundingLedger: summarizeFunding(ledger.fundingPayments),
+          netPnl: ledger.realizedPnl + ledger.funding - ledger.fees,
+          exchangeClosedPnl: ledger.exchangeClosedPnl,
+          position: ledger.position,
+          avgEntryPrice: getAverageEntry(ledger),
+          volume: ledger.volume,
+          trades: ledger.trades
+        };
+
+        totalRealizedPnl += ledger.realizedPnl;
+        totalFees += ledger.fees;
+        totalFunding += ledger.funding;
+        totalVolume += ledger.volume;
+        totalTrades += ledger.trades;
+        exchangeClosedPnl += ledger.exchangeClosedPnl;
+        gaps += ledger.gaps;
+      });
+
+      return {
+        method: costBasis,
+        byAsset,
+        totalRealizedPnl,
+        totalFees,
+        totalFunding,
+        totalNetPnl: totalRealizedPnl + totalFunding - totalFees,
+        totalVolume,
+        totalTrades,
+        reconciliation: {
+          exchangeClosedPnl,
+          difference: totalRealizedPnl - exchangeClosedPnl,
+          gaps
+        }
+      };
+    }
+  };
+}
+
+/**
+ * Order fills chronologically (tid breaks ties between fills in the same ms)
+ */
+function sortFills(fills) {
+  return [...fills].sort((a, b) => (a.time - b.time) || ((a.tid || 0) - (b.tid || 0)));
+}
+
+/**
+ * Compute PNL for a full set of fills and funding payments
+ */
+function calculatePnl(fills, method = DEFAULT_COST_BASIS, fundings = []) {
+  const book = createPnlBook(method);
+  sortFills(fills).forEach(fill => book.applyFill(fill));
+  fundings.forEach(entry => book.applyFunding(entry));
+  return book.summarize();
+}
+
+// Export
+window.PnlEngine = {
+  COST_BASIS_METHODS,
+  DEFAULT_COST_BASIS,
+  createPnlBook,
+  calculate: calculatePnl,
+  sortFills
+};
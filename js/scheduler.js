@@ -0,0 +1,208 @@
+/**
+ * Request Scheduler for the Hyperliquid info API
+ * Weight-based rate limiting, retries with backoff and in-flight de-duplication
+ *
+ * Hyperliquid allows 1200 request weight per minute per IP. Lower priority
+ * work (wallet lookups, history loads) only gets part of that budget so the
+ * live price refresh always has room.
+ */
+
+const RATE_LIMIT_WEIGHT = 1200;
+const RATE_LIMIT_WINDOW = 60 * 1000;
+
+// Share of the budget that normal/low priority requests may use
+const PRIORITY_BUDGET = {
+  high: 1,
+  normal: 0.85,
+  low: 0.6
+};
+
+const PRIORITY_ORDER = ['high', 'normal', 'low'];
+
+const MAX_CONCURRENT = 4;
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY = 500;
+const RETRY_MAX_DELAY = 10000;
+
+// Info requests with a base weight of 2 (everything else is 20)
+const LIGHT_REQUEST_TYPES = [
+  'l2Book',
+  'allMids',
+  'clearinghouseState',
+  'orderStatus',
+  'spotClearinghouseState',
+  'exchangeStatus'
+];
+
+// Extra weight per N returned items for responses that scale with size
+const ITEM_WEIGHT_DIVISORS = {
+  userFills: 20,
+  userFillsByTime: 20,
+  userFunding: 20,
+  fundingHistory: 20,
+  recentTrades: 20,
+  historicalOrders: 20,
+  candleSnapshot: 60
+};
+
+/**
+ * Base weight of an info request
+ */
+function getRequestWeight(body) {
+  if (LIGHT_REQUEST_TYPES.includes(body.type)) return 2;
+  if (body.type === 'userRole') return 60;
+  return 20;
+}
+
+/**
+ * Additional weight charged once a response is known
+ */
+function getResponseWeight(body, data) {
+  const divisor = ITEM_WEIGHT_DIVISORS[body.type];
+  if (!divisor || !Array.isArray(data)) return 0;
+  return Math.floor(data.length / divisor);
+}
+
+/**
+ * Whether a failed request is worth retrying (rate limited, server or network error)
+ */
+function isRetryable(error) {
+  if (error.status === undefined) return true;
+  return error.status === 429 || error.status >= 500;
+}
+
+/**
+ * Exponential backoff with jitter; 429s back off harder
+ */
+function getRetryDelay(attempt, error) {
+  const base = error.status === 429 ? RETRY_BASE_DELAY * 4 : RETRY_BASE_DELAY;
+  const delay = Math.min(RETRY_MAX_DELAY, base * Math.pow(2, attempt));
+  return delay / 2 + Math.random() * delay / 2;
+}
+
+class RequestScheduler {
+  constructor(transport) {
+    this.transport = transport;
+    this.queues = { high: [], normal: [], low: [] };
+    this.inFlight = new Map();
+    this.spent = [];
+    this.active = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Schedule an info request
+   * Identical requests already queued or running share one promise
+   */
+  schedule(body, options = {}) {
+    const key = JSON.stringify(body);
+    if (this.inFlight.has(key)) {
+      return this.inFlight.get(key);
+    }
+
+    const priority = PRIORITY_ORDER.includes(options.priority) ? options.priority : 'normal';
+
+    const promise = new Promise((resolve, reject) => {
+      this.enqueue({ body, priority, attempt: 0, resolve, reject });
+    }).finally(() => {
+      this.inFlight.delete(key);
+    });
+
+    this.inFlight.set(key, promise);
+    return promise;
+  }
+
+  enqueue(job) {
+    this.queues[job.priority].push(job);
+    this.pump();
+  }
+
+  /**
+   * Weight spent inside the current rate limit window
+   */
+  getSpentWeight(now = Date.now()) {
+    this.spent = this.spent.filter(entry => now - entry.time < RATE_LIMIT_WINDOW);
+    return this.spent.reduce((sum, entry) => sum + entry.weight, 0);
+  }
+
+  charge(weight) {
+    if (weight > 0) {
+      this.spent.push({ time: Date.now(), weight });
+    }
+  }
+
+  /**
+   * Start as many queued jobs as concurrency and budget allow
+   */
+  pump() {
+    while (this.active < MAX_CONCURRENT) {
+      const priority = PRIORITY_ORDER.find(p => this.queues[p].length > 0);
+      if (!priority) return;
+
+      const job = this.queues[priority][0];
+      const weight = getRequestWeight(job.body);
+      const budget = RATE_LIMIT_WEIGHT * PRIORITY_BUDGET[priority];
+
+      if (this.getSpentWeight() + weight > budget) {
+        this.waitForBudget();
+        return;
+      }
+
+      this.queues[priority].shift();
+      this.charge(weight);
+      this.run(job);
+    }
+  }
+
+  /**
+   * Re-pump once the oldest spent weight leaves the window
+   */
+  waitForBudget() {
+    if (this.timer || this.spent.length === 0) return;
+    const delay = RATE_LIMIT_WINDOW - (Date.now() - this.spent[0].time) + 10;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.pump();
+    }, Math.max(delay, 10));
+  }
+
+  async run(job) {
+    this.active++;
+    try {
+      const data = await this.transport.request(job.body);
+      this.charge(getResponseWeight(job.body, data));
+      job.resolve(data);
+    } catch (error) {
+      if (job.attempt < MAX_RETRIES && isRetryable(error)) {
+        const delay = getRetryDelay(job.attempt, error);
+        console.warn(`Retrying ${job.body.type} in ${Math.round(delay)}ms (attempt ${job.attempt + 1})`);
+        job.attempt++;
+        setTimeout(() => this.enqueue(job), delay);
+      } else {
+        job.reject(error);
+      }
+    } finally {
+      this.active--;
+      this.pump();
+    }
+  }
+
+  /**
+   * Snapshot of scheduler load for debugging
+   */
+  getStats() {
+    return {
+      spentWeight: this.getSpentWeight(),
+      active: this.active,
+      inFlight: this.inFlight.size,
+      queued: {
+        high: this.queues.high.length,
+        normal: this.queues.normal.length,
+        low: this.queues.low.length
+      }
+    };
+  }
+}
+
+// Export
+window.RequestScheduler = RequestScheduler;
@@ -0,0 +1,249 @@
+/**
+ * WebSocket Session Recorder for trade.xyz Tracker
+ * Captures the frames received by WebSocketManager as NDJSON and replays a
+ * recorded file through the same handlers, so the UI can be driven offline
+ *
+ * File format, one JSON object per line:
+ *   { "recorder": "tradexyz-tracker", "version": 1, "startedAt": 1760000000000 }   (header)
+ *   { "t": 1760000000123, "frame": { "channel": "trades", "data": [...] } }
+ */
+
+const STREAM_RECORDING_VERSION = 1;
+
+// Recorded text beyond this (in characters, ~bytes) is not kept, so a forgotten
+// recording cannot exhaust memory; book and price frames run to several KB each
+const MAX_RECORDING_SIZE = 50 * 1024 * 1024;
+
+// Replay speeds: multiplier of the recorded pace (Infinity = as fast as possible)
+const REPLAY_SPEEDS = {
+  '1x': 1,
+  '10x': 10,
+  'max': Infinity
+};
+
+// Recorded silences longer than this are shortened, so a replay never stalls for minutes
+const REPLAY_MAX_GAP = 10 * 1000;
+
+// Frames handled per tick at max speed before yielding to rendering
+const REPLAY_BATCH_SIZE = 500;
+
+// Control frames would change subscription state, so they are not replayed
+const REPLAY_SKIPPED_CHANNELS = ['subscriptionResponse', 'error', 'pong'];
+
+// Lines of the current recording (null when not recording)
+let streamRecording = null;
+
+// Running replay (null when idle)
+let activeReplay = null;
+
+/**
+ * Start capturing frames, discarding any previous unsaved recording
+ */
+function startRecording() {
+  streamRecording = {
+    startedAt: Date.now(),
+    lines: [],
+    size: 0,
+    truncated: false
+  };
+}
+
+/**
+ * Stop capturing; returns the recording for download (or null)
+ */
+function stopRecording() {
+  const finished = streamRecording;
+  streamRecording = null;
+  return finished;
+}
+
+function isRecording() {
+  return streamRecording !== null;
+}
+
+function getRecordedFrameCount() {
+  return streamRecording ? streamRecording.lines.length : 0;
+}
+
+/**
+ * Keep one received socket frame with its arrival time
+ * Single capture point for live frames: fixture recording (record mode) is fed from here too
+ */
+function captureFrame(frame) {
+  Transport.recordFrame(frame);
+  if (!streamRecording || activeReplay) return;
+
+  if (streamRecording.truncated) return;
+
+  const line = JSON.stringify({ t: Date.now(), frame });
+  if (streamRecording.size + line.length > MAX_RECORDING_SIZE) {
+    streamRecording.truncated = true;
+    return;
+  }
+  streamRecording.lines.push(line);
+  streamRecording.size += line.length + 1;
+}
+
+/**
+ * Serialize a recording as NDJSON, header first
+ */
+function toNdjson(finished) {
+  const header = JSON.stringify({
+    recorder: 'tradexyz-tracker',
+    version: STREAM_RECORDING_VERSION,
+    startedAt: finished.startedAt,
+    truncated: finished.truncated
+  });
+  return [header, ...finished.lines].join('\n') + '\n';
+}
+
+/**
+ * Save a recording as an .ndjson file
+ */
+function downloadStreamRecording(finished) {
+  const stamp = new Date(finished.startedAt).toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+  const blob = new Blob([toNdjson(finished)], { type: 'application/x-ndjson' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `ws-session-${stamp}.ndjson`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Parse an NDJSON recording into time-ordered frames
+ * Blank, header and malformed lines are skipped; a file without any frame is an error
+ */
+function parseStreamRecording(text) {
+  const frames = [];
+  let skipped = 0;
+
+  text.split('\n').forEach(line => {
+    if (!line.trim()) return;
+    try {
+      const entry = JSON.parse(line);
+      if (entry && typeof entry.t === 'number' && entry.frame) {
+        frames.push(entry);
+      } else if (!entry || !entry.recorder) {
+        skipped++;
+      }
+    } catch (e) {
+      skipped++;
+    }
+  });
+
+  if (frames.length === 0) {
+    throw new Error('No frames found in recording');
+  }
+
+  frames.sort((a, b) => a.t - b.t);
+  return { frames, skipped };
+}
+
+/**
+ * Feed recorded frames through wsManager.handleMessage at the chosen speed
+ * The live socket is closed for the duration and reopened afterwards if it was running
+ *
+ * options.speed: key of REPLAY_SPEEDS (can be changed later with setSpeed)
+ * options.onProgress({ index, total, time }) and options.onEnd({ completed }) are optional
+ */
+function startReplay(frames, options = {}) {
+  stopReplay();
+
+  const replay = {
+    frames,
+    index: 0,
+    speed: REPLAY_SPEEDS[options.speed] ? options.speed : '1x',
+    timer: null,
+    wasLive: wsManager.shouldReconnect,
+    onProgress: options.onProgress || (() => {}),
+    onEnd: options.onEnd || (() => {})
+  };
+
+  // Set before closing, so disconnect listeners can tell a replay from a dropped connection
+  activeReplay = replay;
+  wsManager.disconnect();
+
+  const deliver = entry => {
+    if (!REPLAY_SKIPPED_CHANNELS.includes(entry.frame.channel)) {
+      wsManager.handleMessage(entry.frame);
+    }
+  };
+
+  const step = () => {
+    if (activeReplay !== replay) return;
+
+    const multiplier = REPLAY_SPEEDS[replay.speed];
+    const limit = multiplier === Infinity ? REPLAY_BATCH_SIZE : Infinity;
+    let handled = 0;
+
+    // Frames recorded at the same moment go out together
+    do {
+      deliver(frames[replay.index]);
+      replay.index++;
+      handled++;
+    } while (
+      replay.index < frames.length &&
+      handled < limit &&
+      (multiplier === Infinity || frames[replay.index].t === frames[replay.index - 1].t)
+    );
+
+    replay.onProgress({ index: replay.index, total: frames.length, time: frames[replay.index - 1].t });
+
+    if (replay.index >= frames.length) {
+      finishReplay(true);
+      return;
+    }
+
+    const gap = Math.min(frames[replay.index].t - frames[replay.index - 1].t, REPLAY_MAX_GAP);
+    replay.timer = setTimeout(step, multiplier === Infinity ? 0 : gap / multiplier);
+  };
+
+  replay.timer = setTimeout(step, 0);
+
+  return {
+    setSpeed: speed => {
+      if (REPLAY_SPEEDS[speed]) replay.speed = speed;
+    }
+  };
+}
+
+/**
+ * End the running replay and restore the live stream if there was one
+ */
+function finishReplay(completed) {
+  const replay = activeReplay;
+  if (!replay) return;
+
+  clearTimeout(replay.timer);
+  activeReplay = null;
+
+  if (replay.wasLive) {
+    wsManager.connect();
+  }
+  replay.onEnd({ completed });
+}
+
+function stopReplay() {
+  finishReplay(false);
+}
+
+function isReplaying() {
+  return activeReplay !== null;
+}
+
+// Export
+window.StreamRecorder = {
+  REPLAY_SPEEDS,
+  start: startRecording,
+  stop: stopRecording,
+  isRecording,
+  getFrameCount: getRecordedFrameCount,
+  capture: captureFrame,
+  download: downloadStreamRecording,
+  parse: parseStreamRecording,
+  replay: startReplay,
+  stopReplay,
+  isReplaying
+};
@@ -0,0 +1,288 @@
+/**
+ * Transport layer for trade.xyz Tracker
+ * Decides where REST and WebSocket traffic goes: the live exchange,
+ * a local stand-in, or a recorded fixture bundle (offline mode)
+ *
+ * Configuration is read from the URL query string first, then localStorage:
+ *   ?transport=live|fixtures|record
+ *   ?api=http://localhost:3001        (REST base URL override)
+ *   ?ws=ws://localhost:3001/ws        (WebSocket URL override)
+ *   ?fixtures=fixtures/default.json   (fixture bundle path)
+ */
+
+const DEFAULT_REST_URL = 'https://api.hyperliquid.xyz';
+const DEFAULT_WS_URL = 'wss://api.hyperliquid.xyz/ws';
+const DEFAULT_FIXTURES_PATH = 'fixtures/default.json';
+
+// Delay between replayed WebSocket fixture frames
+const FIXTURE_FRAME_INTERVAL = 1500;
+
+// Mirrors WebSocket.readyState values so fixture sockets are interchangeable
+const SOCKET_STATE = {
+  CONNECTING: 0,
+  OPEN: 1,
+  CLOSING: 2,
+  CLOSED: 3
+};
+
+/**
+ * Read a setting from the query string, falling back to localStorage
+ */
+function readSetting(name) {
+  const params = new URLSearchParams(window.location.search);
+  if (params.has(name)) {
+    return params.get(name);
+  }
+  return localStorage.getItem(`transport.${name}`);
+}
+
+/**
+ * Resolve the active transport configuration
+ */
+function getTransportConfig() {
+  const mode = readSetting('transport') || 'live';
+  return {
+    mode: ['live', 'fixtures', 'record'].includes(mode) ? mode : 'live',
+    restUrl: readSetting('api') || DEFAULT_REST_URL,
+    wsUrl: readSetting('ws') || DEFAULT_WS_URL,
+    fixturesPath: readSetting('fixtures') || DEFAULT_FIXTURES_PATH
+  };
+}
+
+// Settings only take effect on page load, so the mode is resolved once
+const TRANSPORT_MODE = getTransportConfig().mode;
+
+/**
+ * Persist a transport setting (takes effect on next page load)
+ */
+function setTransportSetting(name, value) {
+  if (value === null || value === undefined || value === '') {
+    localStorage.removeItem(`transport.${name}`);
+  } else {
+    localStorage.setItem(`transport.${name}`, value);
+  }
+}
+
+/**
+ * Build the fixture key for an info request body
+ * e.g. "perpDexs", "meta:xyz", "l2Book:xyz:TSLA", "candleSnapshot:xyz:TSLA:1h"
+ * Per-DEX requests carry the DEX, so recordings of several DEXes do not overwrite each other
+ */
+function getFixtureKey(body) {
+  const parts = [body.type];
+  if (body.dex) parts.push(body.dex);
+  const coin = body.coin || (body.req && body.req.coin);
+  if (coin) parts.push(coin);
+  if (body.req && body.req.interval) parts.push(body.req.interval);
+  return parts.join(':');
+}
+
+/**
+ * HTTP transport - POSTs info requests to a REST endpoint
+ */
+function createHttpTransport(baseUrl) {
+  return {
+    name: 'http',
+    async request(body) {
+      const response = await fetch(`${baseUrl}/info`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body)
+      });
+
+      if (!response.ok) {
+        const error = new Error(`API Error: ${response.status}`);
+        error.status = response.status;
+        throw error;
+      }
+
+      return await response.json();
+    }
+  };
+}
+
+/**
+ * Load a fixture bundle: { rest: { [key]: response }, ws: [frame, ...] }
+ */
+let fixtureBundlePromise = null;
+
+function loadFixtureBundle(path) {
+  if (!fixtureBundlePromise) {
+    fixtureBundlePromise = fetch(path)
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`Fixture bundle not found: ${path}`);
+        }
+        return response.json();
+      })
+      .then(bundle => ({
+        rest: bundle.rest || {},
+        ws: bundle.ws || []
+      }));
+  }
+  return fixtureBundlePromise;
+}
+
+/**
+ * Fixture transport - answers info requests from a recorded bundle
+ * Looks up the exact key first, then falls back to the request type alone
+ */
+function createFixtureTransport(path) {
+  return {
+    name: 'fixtures',
+    async request(body) {
+      const bundle = await loadFixtureBundle(path);
+      const key = getFixtureKey(body);
+
+      if (key in bundle.rest) return bundle.rest[key];
+      if (body.type in bundle.rest) return bundle.rest[body.type];
+
+      const error = new Error(`No fixture for ${key}`);
+      error.status = 404;
+      throw error;
+    }
+  };
+}
+
+// Responses captured in record mode, keyed like fixture bundles
+const recording = {
+  rest: {},
+  ws: []
+};
+
+/**
+ * Recording transport - live HTTP requests whose responses are kept
+ * so they can be downloaded as a fixture bundle
+ */
+function createRecordingTransport(baseUrl) {
+  const http = createHttpTransport(baseUrl);
+  return {
+    name: 'record',
+    async request(body) {
+      const data = await http.request(body);
+      recording.rest[getFixtureKey(body)] = data;
+      return data;
+    }
+  };
+}
+
+/**
+ * Record an incoming WebSocket frame (record mode only)
+ */
+function recordFrame(frame) {
+  if (TRANSPORT_MODE === 'record') {
+    recording.ws.push(frame);
+  }
+}
+
+/**
+ * Download everything captured so far as a fixture bundle
+ */
+function downloadRecording(filename = 'fixtures.json') {
+  const blob = new Blob([JSON.stringify(recording, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * WebSocket stand-in that plays fixture frames
+ * Implements the subset of the WebSocket interface WebSocketManager uses
+ */
+class FixtureSocket {
+  constructor(path) {
+    this.readyState = SOCKET_STATE.CONNECTING;
+    this.onopen = null;
+    this.onmessage = null;
+    this.onclose = null;
+    this.onerror = null;
+    this.timer = null;
+
+    loadFixtureBundle(path)
+      .then(bundle => {
+        if (this.readyState !== SOCKET_STATE.CONNECTING) return;
+        this.readyState = SOCKET_STATE.OPEN;
+        if (this.onopen) this.onopen();
+        this.play(bundle.ws);
+      })
+      .catch(error => {
+        if (this.onerror) this.onerror(error);
+        this.close();
+      });
+  }
+
+  /**
+   * Emit fixture frames in a loop
+   */
+  play(frames) {
+    if (frames.length === 0) return;
+    let index = 0;
+    this.timer = setInterval(() => {
+      this.emit(frames[index]);
+      index = (index + 1) % frames.length;
+    }, FIXTURE_FRAME_INTERVAL);
+  }
+
+  emit(frame) {
+    if (this.readyState === SOCKET_STATE.OPEN && this.onmessage) {
+      this.onmessage({ data: JSON.stringify(frame) });
+    }
+  }
+
+  /**
+   * Acknowledge subscriptions and answer pings the way the exchange does
+   */
+  send(raw) {
+    const message = JSON.parse(raw);
+    if (message.method === 'subscribe' || message.method === 'unsubscribe') {
+      setTimeout(() => this.emit({ channel: 'subscriptionResponse', data: message }), 0);
+    }
+    if (message.method === 'ping') {
+      setTimeout(() => this.emit({ channel: 'pong' }), 0);
+    }
+  }
+
+  close() {
+    if (this.readyState === SOCKET_STATE.CLOSED) return;
+    clearInterval(this.timer);
+    this.readyState = SOCKET_STATE.CLOSED;
+    if (this.onclose) this.onclose({ code: 1000, reason: 'Fixture socket closed' });
+  }
+}
+
+/**
+ * Create the REST transport for the active configuration
+ */
+function createTransport(config = getTransportConfig()) {
+  if (config.mode === 'fixtures') return createFixtureTransport(config.fixturesPath);
+  if (config.mode === 'record') return createRecordingTransport(config.restUrl);
+  return createHttpTransport(config.restUrl);
+}
+
+/**
+ * Create a WebSocket (or fixture stand-in) for the active configuration
+ */
+function createSocket(url) {
+  const config = getTransportConfig();
+  if (config.mode === 'fixtures') return new FixtureSocket(config.fixturesPath);
+  return new WebSocket(url || config.wsUrl);
+}
+
+// Export
+window.Transport = {
+  SOCKET_STATE,
+  getTransportConfig,
+  setTransportSetting,
+  getFixtureKey,
+  createTransport,
+  createSocket,
+  createHttpTransport,
+  createFixtureTransport,
+  recordFrame,
+  downloadRecording
+};
@@ -2,122 +2,436 @@
  * WebSocket Manager for Hyperliquid real-time data
  */
 
+// A subscription not acknowledged within this delay is marked as failed
+const SUBSCRIPTION_ACK_TIMEOUT = 10000;
+
+// Messages kept while disconnected; the oldest are dropped past this
+const MAX_PENDING_MESSAGES = 500;
+
+// Reconnection backoff: doubles per attempt up to the cap, with random jitter
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 30000;
+
+// The exchange closes idle sockets, so a ping is sent this often
+const HEARTBEAT_INTERVAL = 20000;
+
+// An open socket silent for this long (pongs included) is considered dead
+const STALE_STREAM_TIMEOUT = 45000;
+const WATCHDOG_INTERVAL = 5000;
+
+// Exchange channels delivered to on() listeners ("user" carries the userEvents subscription)
+const WS_CHANNELS = ['trades', 'l2Book', 'allMids', 'userFills', 'userFundings', 'orderUpdates', 'user'];
+
+// Connection lifecycle events, emitted by the manager itself
+const WS_EVENTS = ['connect', 'disconnect', 'error', 'subscriptionChange'];
+
+/**
+ * Narrow a channel payload to some coins, or null when nothing is left
+ * Trade lists are filtered item by item, allMids by key; payloads without a coin pass through
+ */
+function filterPayloadByCoin(payload, coins) {
+    if (Array.isArray(payload)) {
+        const items = payload.filter(item => coins.includes(item.coin));
+        return items.length > 0 ? items : null;
+    }
+    if (payload && payload.coin !== undefined) {
+        return coins.includes(payload.coin) ? payload : null;
+    }
+    if (payload && payload.mids) {
+        const mids = {};
+        coins.forEach(coin => {
+            if (payload.mids[coin] !== undefined) mids[coin] = payload.mids[coin];
+        });
+        return Object.keys(mids).length > 0 ? { ...payload, mids } : null;
+    }
+    return payload;
+}
+
+/**
+ * Stable key of a subscription: fields sorted, empty fields left out,
+ * so the exchange's echo in subscriptionResponse matches what was sent
+ */
+function getSubscriptionKey(subscription) {
+    const fields = Object.keys(subscription)
+        .filter(field => subscription[field] !== null && subscription[field] !== undefined)
+        .sort();
+    return JSON.stringify(fields.map(field => [field, subscription[field]]));
+}
+
 class WebSocketManager {
     constructor() {
         this.ws = null;
-        this.wsUrl = 'wss://api.hyperliquid.xyz/ws';
+        this.wsUrl = Transport.getTransportConfig().wsUrl;
+        // key -> { subscription, status: 'pending' | 'active' | 'failed', error, timer }
         this.subscriptions = new Map();
+        // Non-subscription messages sent while disconnected, flushed on open
+        this.pendingMessages = [];
         this.reconnectAttempts = 0;
-        this.maxReconnectAttempts = 5;
-        this.reconnectDelay = 1000;
+        this.reconnectTimer = null;
+        // False after disconnect(), so a deliberate close is not undone
+        this.shouldReconnect = false;
+        // Set after the first open; later opens are reconnects that need a resync
+        this.hasConnected = false;
+        this.staleTimeout = STALE_STREAM_TIMEOUT;
+        this.lastMessageAt = 0;
+        this.heartbeatTimer = null;
+        this.watchdogTimer = null;
         this.isConnected = false;
-        this.callbacks = {
-            onConnect: [],
-            onDisconnect: [],
-            onTrade: [],
-            onError: []
-        };
+        // channel or event name -> Set of { filter, handler }
+        this.listeners = new Map();
+
+        this.watchNetwork();
     }
 
     /**
      * Connect to WebSocket
      */
     connect() {
-        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+        this.shouldReconnect = true;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+
+        if (this.ws && this.ws.readyState !== Transport.SOCKET_STATE.CLOSED) {
             console.log('WebSocket already connected');
             return;
         }
 
         console.log('Connecting to WebSocket...');
 
+        let socket;
         try {
-            this.ws = new WebSocket(this.wsUrl);
-
-            this.ws.onopen = () => {
-                console.log('WebSocket connected');
-                this.isConnected = true;
-                this.reconnectAttempts = 0;
-
-                // Resubscribe to all previous subscriptions
-                this.subscriptions.forEach((_, sub) => {
-                    this.send({
-                        method: 'subscribe',
-                        subscription: JSON.parse(sub)
-                    });
-                });
-
-                this.callbacks.onConnect.forEach(cb => cb());
-            };
-
-            this.ws.onmessage = (event) => {
-                try {
-                    const data = JSON.parse(event.data);
-                    this.handleMessage(data);
-                } catch (e) {
-                    console.error('Failed to parse WebSocket message:', e);
-                }
-            };
-
-            this.ws.onclose = (event) => {
-                console.log('WebSocket disconnected:', event.code, event.reason);
-                this.isConnected = false;
-                this.callbacks.onDisconnect.forEach(cb => cb());
-
-                // Attempt reconnection
-                if (this.reconnectAttempts < this.maxReconnectAttempts) {
-                    this.reconnectAttempts++;
-                    const delay = this.reconnectDelay * Math.pow(2, this.reconnectAttempts - 1);
-                    console.log(`Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts})`);
-                    setTimeout(() => this.connect(), delay);
-                }
-            };
-
-            this.ws.onerror = (error) => {
-                console.error('WebSocket error:', error);
-                this.callbacks.onError.forEach(cb => cb(error));
-            };
-
+            socket = Transport.createSocket(this.wsUrl);
         } catch (error) {
             console.error('Failed to create WebSocket:', error);
+            this.scheduleReconnect();
+            return;
         }
+        this.ws = socket;
+        // A handshake counts as activity, so only one that hangs makes the stream stale
+        this.lastMessageAt = Date.now();
+
+        socket.onopen = () => {
+            console.log('WebSocket connected');
+            this.isConnected = true;
+            this.reconnectAttempts = 0;
+            this.lastMessageAt = Date.now();
+            this.startHeartbeat();
+
+            // Restore every tracked subscription, then flush what was queued while offline
+            this.subscriptions.forEach(entry => this.sendSubscribe(entry));
+            this.flushPendingMessages();
+
+            const reconnected = this.hasConnected;
+            this.hasConnected = true;
+            this.emit('connect', { reconnected });
+        };
+
+        socket.onmessage = (event) => {
+            this.lastMessageAt = Date.now();
+            try {
+                const data = JSON.parse(event.data);
+                if (data.channel === 'pong') return;
+                StreamRecorder.capture(data);
+                this.handleMessage(data);
+            } catch (e) {
+                console.error('Failed to parse WebSocket message:', e);
+            }
+        };
+
+        socket.onclose = (event) => {
+            console.log('WebSocket disconnected:', event.code, event.reason);
+            this.handleClose();
+            this.scheduleReconnect();
+        };
+
+        socket.onerror = (error) => {
+            console.error('WebSocket error:', error);
+            this.emit('error', error);
+        };
     }
 
     /**
-     * Send message to WebSocket
+     * Bookkeeping once the current socket is gone
+     */
+    handleClose() {
+        this.ws = null;
+        this.isConnected = false;
+        this.stopHeartbeat();
+
+        // Subscriptions die with the socket and are sent again on the next open
+        this.subscriptions.forEach(entry => {
+            clearTimeout(entry.timer);
+            entry.timer = null;
+            entry.status = 'pending';
+        });
+
+        this.emit('disconnect');
+    }
+
+    /**
+     * Close the current socket without waiting for its close event
+     */
+    dropSocket() {
+        const socket = this.ws;
+        if (!socket) return;
+
+        socket.onopen = socket.onmessage = socket.onclose = socket.onerror = null;
+        socket.close();
+        this.handleClose();
+    }
+
+    /**
+     * Retry after a capped exponential delay; jitter spreads clients that dropped together
+     */
+    scheduleReconnect() {
+        if (!this.shouldReconnect || this.reconnectTimer) return;
+
+        const ceiling = Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * Math.pow(2, this.reconnectAttempts));
+        const delay = Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+        this.reconnectAttempts++;
+
+        console.log(`Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts})`);
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connect();
+        }, delay);
+    }
+
+    /**
+     * Replace the socket right away, skipping any pending backoff
+     */
+    reconnectNow(reason) {
+        if (!this.shouldReconnect) return;
+
+        console.log(`Reconnecting now (${reason})`);
+        this.reconnectAttempts = 0;
+        this.dropSocket();
+        this.connect();
+    }
+
+    isStale() {
+        return Date.now() - this.lastMessageAt > this.staleTimeout;
+    }
+
+    /**
+     * Ping on an interval and watch for silence; both stop with the socket
+     */
+    startHeartbeat() {
+        this.stopHeartbeat();
+
+        this.heartbeatTimer = setInterval(() => {
+            if (this.isOpen()) {
+                this.ws.send(JSON.stringify({ method: 'ping' }));
+            }
+        }, HEARTBEAT_INTERVAL);
+
+        this.watchdogTimer = setInterval(() => {
+            if (this.isOpen() && this.isStale()) {
+                this.reconnectNow('no messages received');
+            }
+        }, WATCHDOG_INTERVAL);
+    }
+
+    stopHeartbeat() {
+        clearInterval(this.heartbeatTimer);
+        clearInterval(this.watchdogTimer);
+        this.heartbeatTimer = null;
+        this.watchdogTimer = null;
+    }
+
+    /**
+     * Reconnect as soon as the network returns or the tab comes back,
+     * instead of waiting out the backoff (timers are throttled in background tabs)
+     */
+    watchNetwork() {
+        // A healthy socket or a handshake in progress is kept; only a closed or silent one is replaced
+        const reconnectIfDown = reason => {
+            const connecting = Boolean(this.ws && this.ws.readyState === Transport.SOCKET_STATE.CONNECTING);
+            if (this.isStale() || (!this.isOpen() && !connecting)) {
+                this.reconnectNow(reason);
+            }
+        };
+
+        window.addEventListener('online', () => reconnectIfDown('network online'));
+
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') {
+                reconnectIfDown('tab visible');
+            }
+        });
+    }
+
+    isOpen() {
+        return Boolean(this.ws && this.ws.readyState === Transport.SOCKET_STATE.OPEN);
+    }
+
+    /**
+     * Send message to WebSocket, queuing it until the next open while disconnected
      */
     send(message) {
-        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+        if (this.isOpen()) {
             this.ws.send(JSON.stringify(message));
+            return;
+        }
+
+        console.warn('WebSocket not connected, queuing message');
+        this.pendingMessages.push(message);
+        if (this.pendingMessages.length > MAX_PENDING_MESSAGES) {
+            this.pendingMessages.shift();
+        }
+    }
+
+    flushPendingMessages() {
+        const messages = this.pendingMessages;
+        this.pendingMessages = [];
+        messages.forEach(message => this.send(message));
+    }
+
+    /**
+     * Send a tracked subscription and wait for its acknowledgement
+     */
+    sendSubscribe(entry) {
+        clearTimeout(entry.timer);
+        entry.status = 'pending';
+        entry.error = null;
+        entry.timer = setTimeout(() => {
+            this.setSubscriptionStatus(entry, 'failed', 'timeout');
+        }, SUBSCRIPTION_ACK_TIMEOUT);
+
+        this.send({
+            method: 'subscribe',
+            subscription: entry.subscription
+        });
+    }
+
+    setSubscriptionStatus(entry, status, error = null) {
+        clearTimeout(entry.timer);
+        entry.timer = null;
+        entry.status = status;
+        entry.error = error;
+
+        if (status === 'failed') {
+            console.error('Subscription failed:', entry.subscription, error);
+        }
+        this.emit('subscriptionChange', entry.subscription, status, error);
+    }
+
+    /**
+     * Match an exchange error to the subscription it quotes, if any
+     * Errors look like: Invalid subscription {"type":"trades","coin":"FOO"}
+     */
+    handleErrorMessage(message) {
+        const text = String(message);
+        const start = text.indexOf('{');
+        let subscription = null;
+        try {
+            subscription = start === -1 ? null : JSON.parse(text.slice(start));
+        } catch (e) {
+            subscription = null;
+        }
+
+        const entry = subscription && this.subscriptions.get(getSubscriptionKey(subscription));
+        if (!entry) {
+            console.error('WebSocket error message:', text);
+            this.emit('error', new Error(text));
+            return;
+        }
+
+        // A duplicate subscribe still leaves the stream running
+        if (/already subscribed/i.test(text)) {
+            this.setSubscriptionStatus(entry, 'active');
         } else {
-            console.warn('WebSocket not connected, queuing message');
+            this.setSubscriptionStatus(entry, 'failed', text);
         }
     }
 
     /**
      * Handle incoming WebSocket message
+     * Also the entry point of replayed frames (see js/streamRecorder.js)
      */
     handleMessage(data) {
         if (data.channel === 'subscriptionResponse') {
-            console.log('Subscription confirmed:', data.data);
+            const { method, subscription } = data.data || {};
+            const entry = subscription && this.subscriptions.get(getSubscriptionKey(subscription));
+            if (method === 'subscribe' && entry && entry.status !== 'active') {
+                this.setSubscriptionStatus(entry, 'active');
+            }
             return;
         }
 
-        if (data.channel === 'trades') {
-            this.callbacks.onTrade.forEach(cb => cb(data.data));
+        if (data.channel === 'error') {
+            this.handleErrorMessage(data.data);
+            return;
         }
 
-        if (data.channel === 'allMids') {
-            // Handle all mids updates if subscribed
-            if (this.callbacks.onMids) {
-                this.callbacks.onMids.forEach(cb => cb(data.data));
-            }
+        this.emit(data.channel, data.data);
+    }
+
+    /**
+     * Listen to an exchange channel or a lifecycle event; returns a disposer
+     * filter: null, { coin } with one coin or a list (channel payloads are
+     * narrowed to those coins), or a predicate on the payload
+     *
+     *   const off = wsManager.on('trades', { coin: 'xyz:NVDA' }, trades => ...);
+     *   off();
+     */
+    on(channel, filter, handler) {
+        if (handler === undefined) {
+            handler = filter;
+            filter = null;
+        }
+        if (!WS_CHANNELS.includes(channel) && !WS_EVENTS.includes(channel)) {
+            throw new Error(`Unknown WebSocket channel: ${channel}`);
+        }
+
+        const listener = { filter, handler };
+        if (!this.listeners.has(channel)) {
+            this.listeners.set(channel, new Set());
         }
+        this.listeners.get(channel).add(listener);
 
-        if (data.channel === 'l2Book') {
-            // Handle order book updates
-            if (this.callbacks.onL2Book) {
-                this.callbacks.onL2Book.forEach(cb => cb(data.data));
+        return () => {
+            const set = this.listeners.get(channel);
+            if (set) set.delete(listener);
+        };
+    }
+
+    /**
+     * Call the listeners of a channel or event; a throwing listener does not stop the others
+     */
+    emit(channel, payload, ...rest) {
+        const set = this.listeners.get(channel);
+        if (!set) return;
+
+        // Copy, so listeners may dispose themselves while being called
+        [...set].forEach(({ filter, handler }) => {
+            let value = payload;
+            if (typeof filter === 'function') {
+                if (!filter(payload)) return;
+            } else if (filter && filter.coin !== undefined) {
+                value = filterPayloadByCoin(payload, [].concat(filter.coin));
+                if (value === null) return;
             }
+
+            try {
+                handler(value, ...rest);
+            } catch (error) {
+                console.error(`WebSocket ${channel} listener failed:`, error);
+            }
+        });
+    }
+
+    /**
+     * Track a subscription of any type; it is sent now if connected and on every reconnect
+     */
+    subscribe(subscription) {
+        const key = getSubscriptionKey(subscription);
+        if (this.subscriptions.has(key)) return;
+
+        const entry = { subscription, status: 'pending', error: null, timer: null };
+        this.subscriptions.set(key, entry);
+        if (this.isOpen()) {
+            this.sendSubscribe(entry);
         }
     }
 
@@ -125,102 +439,120 @@ class WebSocketManager {
      * Subscribe to trades for a specific coin
      */
     subscribeTrades(coin) {
-        const subscription = { type: 'trades', coin: coin };
-        const key = JSON.stringify(subscription);
-
-        if (!this.subscriptions.has(key)) {
-            this.subscriptions.set(key, true);
-            this.send({
-                method: 'subscribe',
-                subscription: subscription
-            });
-        }
+        this.subscribe({ type: 'trades', coin: coin });
     }
 
     /**
-     * Subscribe to all trades for xyz DEX (dynamically loaded from API)
+     * Subscribe to trades for every market on the tracked DEXes (dynamically loaded from API)
+     * Trade subscriptions for markets that are no longer tracked are dropped
      */
     subscribeAllTrades() {
         // Get markets dynamically from API (populated by loadMarketData)
-        const coins = HyperliquidAPI.getAllXyzMarkets();
+        const coins = HyperliquidAPI.getAllMarkets();
+
+        this.subscriptions.forEach(({ subscription }) => {
+            if (subscription.type === 'trades' && !coins.includes(subscription.coin)) {
+                this.unsubscribe(subscription);
+            }
+        });
 
         if (coins.length === 0) {
-            console.warn('No xyz markets loaded yet, using fallback');
-            // Fallback to common markets if API hasn't loaded yet
-            ['xyz:XYZ100', 'xyz:TSLA', 'xyz:NVDA', 'xyz:AAPL', 'xyz:GOLD'].forEach(coin => {
-                this.subscribeTrades(coin);
-            });
-        } else {
-            console.log(`Subscribing to ${coins.length} xyz markets`);
-            coins.forEach(coin => this.subscribeTrades(coin));
+            // loadMarketData calls this again once markets are known
+            console.warn('No markets loaded yet, trade subscriptions deferred');
+            return;
         }
+
+        console.log(`Subscribing to ${coins.length} markets on ${HyperliquidAPI.getTrackedDexes().join(', ')}`);
+        coins.forEach(coin => this.subscribeTrades(coin));
     }
 
     /**
      * Subscribe to allMids updates
      */
     subscribeAllMids() {
-        const subscription = { type: 'allMids' };
-        this.send({
-            method: 'subscribe',
-            subscription: subscription
-        });
+        this.subscribe({ type: 'allMids' });
     }
 
     /**
      * Subscribe to L2 book updates for a coin
      */
     subscribeL2Book(coin) {
-        const subscription = { type: 'l2Book', coin: coin };
-        const key = JSON.stringify(subscription);
+        this.subscribe({ type: 'l2Book', coin: coin });
+    }
+
+    /**
+     * Unsubscribe from a subscription
+     * While disconnected there is nothing to send: it is simply not restored
+     */
+    unsubscribe(subscription) {
+        const key = getSubscriptionKey(subscription);
+        const entry = this.subscriptions.get(key);
+        if (!entry) return;
 
-        if (!this.subscriptions.has(key)) {
-            this.subscriptions.set(key, true);
+        clearTimeout(entry.timer);
+        this.subscriptions.delete(key);
+        if (this.isOpen()) {
             this.send({
-                method: 'subscribe',
+                method: 'unsubscribe',
                 subscription: subscription
             });
         }
     }
 
     /**
-     * Unsubscribe from a subscription
+     * Tracked subscriptions with their acknowledgement status
      */
-    unsubscribe(subscription) {
-        const key = JSON.stringify(subscription);
-        this.subscriptions.delete(key);
-        this.send({
-            method: 'unsubscribe',
-            subscription: subscription
-        });
+    getSubscriptions() {
+        return [...this.subscriptions.values()].map(({ subscription, status, error }) => ({ subscription, status, error }));
     }
 
     /**
-     * Register callback for connection
+     * Register callback for connection ({ reconnected })
      */
     onConnect(callback) {
-        this.callbacks.onConnect.push(callback);
+        return this.on('connect', callback);
     }
 
     /**
      * Register callback for disconnection
      */
     onDisconnect(callback) {
-        this.callbacks.onDisconnect.push(callback);
+        return this.on('disconnect', callback);
     }
 
     /**
      * Register callback for trades
      */
     onTrade(callback) {
-        this.callbacks.onTrade.push(callback);
+        return this.on('trades', callback);
+    }
+
+    /**
+     * Register callback for L2 book updates
+     */
+    onL2Book(callback) {
+        return this.on('l2Book', callback);
+    }
+
+    /**
+     * Register callback for allMids updates
+     */
+    onMids(callback) {
+        return this.on('allMids', callback);
+    }
+
+    /**
+     * Register callback for subscription status changes (subscription, status, error)
+     */
+    onSubscriptionChange(callback) {
+        return this.on('subscriptionChange', callback);
     }
 
     /**
      * Register callback for errors
      */
     onError(callback) {
-        this.callbacks.onError.push(callback);
+        return this.on('error', callback);
     }
 
     /**
@@ -234,11 +566,10 @@ class WebSocketManager {
      * Disconnect WebSocket
      */
     disconnect() {
-        if (this.ws) {
-            this.ws.close();
-            this.ws = null;
-            this.isConnected = false;
-        }
+        this.shouldReconnect = false;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.dropSocket();
     }
 }
 